@@ -0,0 +1,197 @@
+import crypto from "crypto";
+
+const ROLES = ["viewer", "operator", "admin"];
+const SESSION_COOKIE = "spinnerr_session";
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const REDACTED = "********";
+const SECRET_KEYS = ["token", "password", "passwordHash", "secret"];
+const SECRET_MAPS = ["headers"]; // every value is treated as a secret, e.g. an Authorization header
+
+// Passwords are stored as scrypt$<salt>$<hash>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+// API tokens are random, so a plain SHA-256 is enough to store them
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateToken() {
+  return `spn_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// GETs need viewer, start/stop need operator, any other change and anything holding secrets needs admin
+function requiredRole(req) {
+  const path = (req.originalUrl || req.url).split("?")[0];
+
+  const adminOnly = ["/api/apikeys", "/api/notifications", "/api/config/export", "/api/auth/users", "/api/auth/tokens"];
+  if (adminOnly.some(prefix => path.startsWith(prefix))) return "admin";
+  if (req.method === "GET" || req.method === "HEAD") return "viewer";
+  if (/^\/api\/containers\/[^/]+\/(start|stop|activity)$/.test(path)) return "operator";
+  return "admin";
+}
+
+function parseCookies(header = "") {
+  return Object.fromEntries(header.split(";")
+    .map(part => part.trim().split("="))
+    .filter(([key]) => key)
+    .map(([key, ...rest]) => {
+      try {
+        return [key, decodeURIComponent(rest.join("="))];
+      } catch {
+        return [key, rest.join("=")];
+      }
+    }));
+}
+
+const redactMap = (map) => Object.fromEntries(Object.entries(map).map(([name, v]) => [name, v ? REDACTED : v]));
+
+// Replaces secret values ("token", "password", header values, ...) anywhere in a config object
+function redactSecrets(value, keys = SECRET_KEYS) {
+  if (Array.isArray(value)) return value.map(v => redactSecrets(v, keys));
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => {
+    if (SECRET_MAPS.includes(key) && v && typeof v === "object" && !Array.isArray(v)) return [key, redactMap(v)];
+    return [key, keys.includes(key) && v ? REDACTED : redactSecrets(v, keys)];
+  }));
+}
+
+// Removes secret values entirely, e.g. for a config export
+function stripSecrets(value, keys = [...SECRET_KEYS, ...SECRET_MAPS]) {
+  if (Array.isArray(value)) return value.map(v => stripSecrets(v, keys));
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !keys.includes(key))
+    .map(([key, v]) => [key, stripSecrets(v, keys)]));
+}
+
+// Puts back the stored secret wherever an update still carries the redacted placeholder
+function restoreSecrets(updates, existing) {
+  if (updates === REDACTED) return existing;
+  if (Array.isArray(updates)) {
+    return updates.map((v, i) => restoreSecrets(v, Array.isArray(existing) ? existing[i] : undefined));
+  }
+  if (!updates || typeof updates !== "object") return updates;
+
+  return Object.fromEntries(Object.entries(updates).map(([key, v]) => [
+    key,
+    restoreSecrets(v, existing && typeof existing === "object" ? existing[key] : undefined)
+  ]));
+}
+
+// Sessions live in memory; getAuthConfig returns the current "auth" block of config.json
+function createAuth({ getAuthConfig, log }) {
+  const sessions = new Map(); // id -> { username, role, expiresAt }
+
+  function isEnabled() {
+    const { users = [], tokens = [] } = getAuthConfig() || {};
+    return users.length > 0 || tokens.length > 0;
+  }
+
+  function login(username, password) {
+    const user = (getAuthConfig()?.users || []).find(u => u.username === username);
+
+    // Unknown users still pay for a hash, so response times don't reveal usernames
+    if (!user) {
+      verifyPassword(password, DUMMY_HASH);
+      return null;
+    }
+    if (!verifyPassword(password, user.passwordHash)) return null;
+
+    sessions.forEach((session, id) => session.expiresAt < Date.now() && sessions.delete(id));
+
+    const id = crypto.randomBytes(32).toString("hex");
+    sessions.set(id, { username: user.username, role: user.role, expiresAt: Date.now() + SESSION_TTL });
+    return { id, username: user.username, role: user.role };
+  }
+
+  function sessionId(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  function logout(id) {
+    sessions.delete(id);
+  }
+
+  // Resolves the caller from the session cookie or a bearer token
+  function identify(req) {
+    if (!isEnabled()) return { username: "anonymous", role: "admin" };
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1];
+    if (bearer) {
+      const hash = hashToken(bearer.trim());
+      const token = (getAuthConfig()?.tokens || []).find(t => t.hash === hash);
+      return token ? { username: `token:${token.name}`, role: token.role } : null;
+    }
+
+    const id = sessionId(req);
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+
+    // Role changes and deleted users apply to open sessions right away
+    const user = (getAuthConfig()?.users || []).find(u => u.username === session.username);
+    if (!user) {
+      sessions.delete(id);
+      return null;
+    }
+    return { username: user.username, role: user.role };
+  }
+
+  // Express middleware: 401 when not logged in, 403 when the role is too low
+  function protect(req, res, next) {
+    const user = identify(req);
+    if (!user) return res.status(401).json({ error: "Authentication required" });
+
+    const required = requiredRole(req);
+    if (!hasRole(user.role, required)) {
+      log.warn(`${user.username} denied ${req.method} ${req.originalUrl} (needs ${required})`, { user: user.username });
+      return res.status(403).json({ error: `Requires ${required} role` });
+    }
+
+    req.user = user;
+    next();
+  }
+
+  return { isEnabled, login, logout, sessionId, identify, protect };
+}
+
+export {
+  createAuth,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateToken,
+  redactSecrets,
+  stripSecrets,
+  restoreSecrets,
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL,
+  REDACTED,
+  SECRET_KEYS,
+  SECRET_MAPS
+};
@@ -0,0 +1,50 @@
+// Stops calling an API that keeps failing. After `threshold` failures in a row the circuit opens and
+// requests are refused; once `cooldown` ms have passed a single trial request is let through
+// (half-open), its success closes the circuit and its failure opens it again.
+function createCircuitBreaker({ threshold = 3, cooldown = 30000 } = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialAt = null; // a trial that never reports back is replaced after another cooldown
+
+  function state(now = Date.now()) {
+    if (openedAt === null) return "closed";
+    return now - openedAt >= cooldown ? "half-open" : "open";
+  }
+
+  function allows(now = Date.now()) {
+    const current = state(now);
+    if (current === "closed") return true;
+    if (current === "open" || (trialAt !== null && now - trialAt < cooldown)) return false;
+    trialAt = now;
+    return true;
+  }
+
+  // Both return true when the call changed the circuit, closed -> open or back
+  function success() {
+    failures = 0;
+    trialAt = null;
+    if (openedAt === null) return false;
+    openedAt = null;
+    return true;
+  }
+
+  function failure(now = Date.now()) {
+    failures++;
+    trialAt = null;
+    if (openedAt !== null) {
+      if (state(now) === "half-open") openedAt = now;
+      return false;
+    }
+    if (failures < threshold) return false;
+    openedAt = now;
+    return true;
+  }
+
+  function status(now = Date.now()) {
+    return { state: state(now), failures, retryAt: openedAt === null ? null : openedAt + cooldown };
+  }
+
+  return { allows, success, failure, status };
+}
+
+export { createCircuitBreaker };
@@ -0,0 +1,134 @@
+import fs from "fs";
+import path from "path";
+import { writeJsonAtomic } from "./configStore.js";
+import { redactSecrets, REDACTED, SECRET_MAPS } from "./auth.js";
+
+// Lists compared entry by entry, by the field that names the entry
+const KEYED_LISTS = {
+  "containers": "name",
+  "groups": "name",
+  "schedules": "id",
+  "notifications": "id",
+  "auth.users": "username",
+  "auth.tokens": "id"
+};
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Secrets only show up as ******** in a diff, down to single values of a secret map (headers.Authorization)
+function redactChange(change) {
+  const segments = change.path.split(".").map(s => s.replace(/\[.*\]$/, ""));
+  const key = segments.pop();
+  const inSecretMap = segments.some(s => SECRET_MAPS.includes(s));
+  const redact = (value) => {
+    if (value === undefined) return undefined;
+    return inSecretMap ? (value ? REDACTED : value) : redactSecrets({ [key]: value })[key];
+  };
+  return { ...change, from: redact(change.from), to: redact(change.to) };
+}
+
+// List of { op: "add" | "remove" | "change", path, from, to }, paths like containers[web].idleTimeout
+function diffConfig(before = {}, after = {}) {
+  const changes = [];
+
+  function walk(a, b, pathName, listKey) {
+    if (same(a, b)) return;
+    if (a === undefined) return changes.push({ op: "add", path: pathName, to: b });
+    if (b === undefined) return changes.push({ op: "remove", path: pathName, from: a });
+
+    const keyField = KEYED_LISTS[listKey];
+    if (keyField && Array.isArray(a) && Array.isArray(b)) {
+      const byKey = (list) => new Map(list.map(item => [String(item?.[keyField]), item]));
+      const left = byKey(a);
+      const right = byKey(b);
+      new Set([...left.keys(), ...right.keys()])
+        .forEach(key => walk(left.get(key), right.get(key), `${pathName}[${key}]`, null));
+      return;
+    }
+
+    if (isObject(a) && isObject(b)) {
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+        const childPath = pathName ? `${pathName}.${key}` : key;
+        walk(a[key], b[key], childPath, listKey === null ? null : childPath);
+      });
+      return;
+    }
+
+    changes.push({ op: "change", path: pathName, from: a, to: b });
+  }
+
+  walk(before, after, "", "");
+  return changes.map(redactChange);
+}
+
+// Rolling history of config.json, one file per revision in dir
+// onRecord(summary) is called for every new revision, with the fields list() returns
+function createConfigHistory({ dir, size = 50, log, onRecord = null }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const revisionPath = (rev) => path.join(dir, `${rev}.json`);
+
+  function revisions() {
+    return fs.readdirSync(dir)
+      .map(file => /^(\d+)\.json$/.exec(file)?.[1])
+      .filter(Boolean)
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  function get(rev) {
+    try {
+      return JSON.parse(fs.readFileSync(revisionPath(Number(rev)), "utf-8"));
+    } catch {
+      return null;
+    }
+  }
+
+  function latest() {
+    const revs = revisions();
+    return revs.length ? get(revs[revs.length - 1]) : null;
+  }
+
+  // Stores config as a new revision, unless it matches the latest one; returns the revision, if any
+  function record(config, { source, user = null, note = null } = {}) {
+    const previous = latest();
+    if (previous && same(previous.config, config)) return null;
+
+    const entry = {
+      rev: (previous?.rev || 0) + 1,
+      timestamp: Date.now(),
+      source,
+      user,
+      note,
+      diff: diffConfig(previous?.config, config),
+      config
+    };
+
+    try {
+      writeJsonAtomic(revisionPath(entry.rev), entry);
+      revisions().slice(0, -size).forEach(rev => fs.rmSync(revisionPath(rev), { force: true }));
+    } catch (e) {
+      log.error(`Failed to record config revision: ${e.message}`);
+      return null;
+    }
+    onRecord?.(summarize(entry));
+    return entry;
+  }
+
+  const summarize = ({ rev, timestamp, source, user, note, diff }) => ({ rev, timestamp, source, user, note, changes: diff.length });
+
+  // Newest first, without the config snapshots
+  function list() {
+    return revisions().reverse().map(get).filter(Boolean).map(summarize);
+  }
+
+  return { record, get, latest, list };
+}
+
+export { createConfigHistory, diffConfig };
@@ -0,0 +1,426 @@
+import { ROLES } from "./auth.js";
+import { parseCron, isValidTimeZone } from "./cron.js";
+import { MISSED_RUN_POLICIES, TIMER_MODES } from "./scheduler.js";
+import { findDependencyCycle, formatCycle } from "./dependencies.js";
+import { LOG_LEVELS } from "./logger.js";
+import { NOTIFICATION_TYPES, REQUIRED_FIELDS } from "./notifications.js";
+
+// JSON schema of config.json (the subset of keywords understood by validate() below)
+const TIME = "^$|^([01]\\d|2[0-3]):[0-5]\\d$";
+const DATE = "^\\d{4}-\\d{2}-\\d{2}$";
+
+// Checks for the "format" keyword, returning an error message or null
+const FORMATS = {
+  cron: (value) => {
+    try {
+      parseCron(value);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  },
+  timezone: (value) => isValidTimeZone(value) ? null : "is not a known IANA timezone"
+};
+
+const readinessSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    type: { type: "string", enum: ["http", "tcp", "docker"] },
+    path: { type: "string" },
+    status: {
+      type: ["integer", "string", "array"],
+      items: { type: ["integer", "string"] }
+    },
+    body: { type: "string" },
+    followRedirects: { type: "boolean" },
+    port: { type: "integer", minimum: 1, maximum: 65535 },
+    timeout: { type: "number", minimum: 0 },
+    delay: { type: "number", minimum: 0 }
+  }
+};
+
+const commandsSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    start: { type: "string" },
+    stop: { type: "string" },
+    status: { type: "string" },
+    startedAt: { type: "string" },
+    timeout: { type: "number", minimum: 1 }
+  }
+};
+
+const busyProbeSchema = {
+  type: ["object", "null"],
+  required: ["type"],
+  additionalProperties: false,
+  properties: {
+    type: { type: "string", enum: ["cpu", "http"] },
+    threshold: { type: "number", minimum: 0 },
+    url: { type: "string", minLength: 1 },
+    timeout: { type: "number", minimum: 0 }
+  }
+};
+
+const containerSchema = {
+  type: "object",
+  required: ["name"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    friendly_name: { type: ["string", "null"] },
+    url: { type: ["string", "null"] },
+    host: { type: ["string", "null"] },
+    path: { type: ["string", "null"] },
+    idleTimeout: { type: ["number", "null"], minimum: 0 },
+    active: { type: "boolean" },
+    activatedAt: { type: ["integer", "null"] },
+    backend: { type: "string" },
+    project: { type: "string" },
+    commands: commandsSchema,
+    readiness: { ...readinessSchema, type: ["object", "null"] },
+    holdRequests: { type: "boolean" },
+    maxHoldTime: { type: "number", minimum: 0 },
+    minThroughput: { type: "number", minimum: 0 },
+    busyProbe: busyProbeSchema,
+    dependsOn: { type: "array", items: { type: "string", minLength: 1 } },
+    logLevel: { type: ["string", "null"], enum: LOG_LEVELS }
+  }
+};
+
+const groupSchema = {
+  type: "object",
+  required: ["name", "container"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    container: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+    idleTimeout: { type: ["number", "null"], minimum: 0 },
+    active: { type: "boolean" }
+  }
+};
+
+const timerSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    startTime: { type: "string", pattern: TIME },
+    stopTime: { type: "string", pattern: TIME },
+    startCron: { type: "string", format: "cron" },
+    stopCron: { type: "string", format: "cron" },
+    days: { type: "array", items: { type: "integer", minimum: 0, maximum: 6 } },
+    mode: { type: "string", enum: TIMER_MODES },
+    active: { type: "boolean" }
+  }
+};
+
+const scheduleSchema = {
+  type: "object",
+  required: ["id", "target", "targetType"],
+  additionalProperties: false,
+  properties: {
+    id: { type: ["string", "integer"] },
+    target: { type: "string", minLength: 1 },
+    targetType: { type: "string", enum: ["container", "group"] },
+    timers: { type: "array", items: timerSchema },
+    timezone: { type: "string", format: "timezone" },
+    startDate: { type: ["string", "null"], pattern: DATE },
+    endDate: { type: ["string", "null"], pattern: DATE },
+    exclude: { type: "array", items: { type: "string", pattern: "^(\\d{4}-)?\\d{2}-\\d{2}$" } },
+    missedRuns: { type: "string", enum: MISSED_RUN_POLICIES }
+  }
+};
+
+const pveHostProperties = {
+  hostname: { type: "string" },
+  port: { type: ["integer", "string"] },
+  node: { type: "string" },
+  nodes: { type: "array", items: { type: "string" } },
+  user: { type: "string" },
+  tokenId: { type: "string" },
+  token: { type: "string" },
+  ca: { type: "string" },
+  fingerprint: { type: "string" },
+  verifyTls: { type: "boolean" }
+};
+
+const apiKeysSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    pve: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ...pveHostProperties,
+        hosts: {
+          type: "array",
+          items: { type: "object", additionalProperties: false, properties: pveHostProperties }
+        }
+      }
+    }
+  }
+};
+
+// Targets for lifecycle notifications; which fields apply depends on the type, see REQUIRED_FIELDS
+const notificationSchema = {
+  type: "object",
+  required: ["id", "name", "type"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "string" },
+    name: { type: "string", minLength: 1 },
+    type: { type: "string", enum: NOTIFICATION_TYPES },
+    enabled: { type: "boolean" },
+    events: { type: "array", items: { type: "string", minLength: 1 } },
+    debounce: { type: "number", minimum: 0 },
+    // webhook, ntfy, gotify
+    url: { type: "string", pattern: "^https?://" },
+    method: { type: "string", enum: ["POST", "PUT"] },
+    headers: { type: "object" },
+    template: { type: "string" },
+    topic: { type: "string", minLength: 1 },
+    token: { type: "string" },
+    priority: { type: "integer", minimum: 0, maximum: 10 },
+    // smtp
+    host: { type: "string", minLength: 1 },
+    port: { type: "integer", minimum: 1, maximum: 65535 },
+    secure: { type: "boolean" },
+    verifyTls: { type: "boolean" },
+    insecureAuth: { type: "boolean" },
+    user: { type: "string" },
+    password: { type: "string" },
+    from: { type: "string", minLength: 1 },
+    to: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } }
+  }
+};
+
+const authSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    users: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["username", "role", "passwordHash"],
+        additionalProperties: false,
+        properties: {
+          username: { type: "string", minLength: 1 },
+          role: { type: "string", enum: ROLES },
+          passwordHash: { type: "string" }
+        }
+      }
+    },
+    tokens: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "name", "role", "hash"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string" },
+          name: { type: "string", minLength: 1 },
+          role: { type: "string", enum: ROLES },
+          hash: { type: "string" },
+          createdAt: { type: "integer" }
+        }
+      }
+    }
+  }
+};
+
+const configSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    containers: { type: "array", items: containerSchema },
+    order: { type: "array", items: { type: "string" } },
+    groups: { type: "array", items: groupSchema },
+    groupOrder: { type: "array", items: { type: "string" } },
+    schedules: { type: "array", items: scheduleSchema },
+    apiKeys: apiKeysSchema,
+    notifications: { type: "array", items: notificationSchema },
+    auth: authSchema
+  }
+};
+
+//----------------------------------------------------------------
+// Validation
+//----------------------------------------------------------------
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function joinField(field, key) {
+  if (typeof key === "number") return `${field}[${key}]`;
+  return field ? `${field}.${key}` : key;
+}
+
+// Returns a list of { field, message }, empty when the value is valid
+function validate(schema, value, field = "") {
+  const errors = [];
+  const error = (message) => errors.push({ field: field || "(root)", message });
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(t => matchesType(value, t))) {
+    error(`must be ${types.join(" or ")}`);
+    return errors;
+  }
+
+  // null passed the type check above, the enum lists the other values
+  if (schema.enum && value !== null && !schema.enum.includes(value)) error(`must be one of: ${schema.enum.join(", ")}`);
+
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) error("must not be empty");
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) error("has an invalid format");
+
+    const formatError = schema.format && FORMATS[schema.format](value);
+    if (formatError) error(formatError);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) error(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) error(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) error(`must have at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, joinField(field, i))));
+  }
+
+  if (typeOf(value) === "object" && schema.properties) {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ field: joinField(field, key), message: "is required" }));
+
+    Object.entries(value).forEach(([key, v]) => {
+      if (schema.properties[key]) {
+        if (v !== undefined) errors.push(...validate(schema.properties[key], v, joinField(field, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinField(field, key), message: "is not a known field" });
+      }
+    });
+  }
+
+  return errors;
+}
+
+function duplicates(list, key, field) {
+  const seen = new Set();
+  return (list || []).flatMap((item, i) => {
+    const value = item?.[key];
+    if (value === undefined) return [];
+    if (seen.has(value)) return [{ field: `${field}[${i}].${key}`, message: `duplicate ${key} "${value}"` }];
+    seen.add(value);
+    return [];
+  });
+}
+
+// Schema errors plus the fields the notification type needs
+function validateNotification(target, field = "") {
+  const errors = validate(notificationSchema, target, field);
+  if (errors.length) return errors;
+
+  return (REQUIRED_FIELDS[target.type] || [])
+    .filter(key => target[key] === undefined || target[key] === "")
+    .map(key => ({ field: field ? `${field}.${key}` : key, message: `is required for ${target.type} notifications` }));
+}
+
+// Schema errors plus keep windows that would never close
+function validateSchedule(schedule, field = "") {
+  const errors = validate(scheduleSchema, schedule, field);
+  if (errors.length) return errors;
+
+  return (schedule.timers || []).flatMap((timer, i) => {
+    const ends = timer.stopCron || (timer.stopTime && timer.days?.length);
+    if (!["keepRunning", "keepStopped"].includes(timer.mode) || ends) return [];
+    return [{ field: joinField(joinField(field, "timers"), i), message: `needs a stopCron, or a stopTime with days, a ${timer.mode} window has to end` }];
+  });
+}
+
+// dependsOn may name containers from Docker labels, so only cycles are checked here
+function dependencyCycles(containers) {
+  const cycle = findDependencyCycle(containers || []);
+  return cycle ? [{ field: `containers[${cycle[0]}].dependsOn`, message: `forms a dependency cycle: ${formatCycle(cycle)}` }] : [];
+}
+
+// The backend needs a registered driver, the command driver only exists when ENABLE_COMMAND_BACKEND is set
+function validateBackend(container, backends, field = "backend") {
+  if (container?.backend === undefined || backends.includes(container.backend)) return [];
+  const message = container.backend === "command"
+    ? "command is disabled, set ENABLE_COMMAND_BACKEND=true to allow it"
+    : `must be one of: ${backends.join(", ")}`;
+  return [{ field, message }];
+}
+
+function validateConfig(config) {
+  const errors = validate(configSchema, config);
+  if (errors.length) return errors;
+
+  return [
+    ...duplicates(config.containers, "name", "containers"),
+    ...dependencyCycles(config.containers),
+    ...duplicates(config.groups, "name", "groups"),
+    ...duplicates(config.schedules, "id", "schedules"),
+    ...(config.schedules || []).flatMap((s, i) => validateSchedule(s, `schedules[${i}]`)),
+    ...duplicates(config.notifications, "id", "notifications"),
+    ...(config.notifications || []).flatMap((n, i) => validateNotification(n, `notifications[${i}]`)),
+    ...duplicates(config.auth?.users, "username", "auth.users")
+  ];
+}
+
+//----------------------------------------------------------------
+// Normalization
+//----------------------------------------------------------------
+// The Web UI sends back the status it merged into the list (running, lastActivity)
+// and a legacy idle_timeout copy; those are not config and are dropped before validation
+const RUNTIME_FIELDS = ["running", "lastActivity", "idle_timeout"];
+
+function normalizeContainer(container) {
+  if (typeOf(container) !== "object") return container;
+
+  const normalized = { ...container };
+  if (normalized.idleTimeout === undefined && normalized.idle_timeout !== undefined) {
+    normalized.idleTimeout = normalized.idle_timeout;
+  }
+  RUNTIME_FIELDS.forEach(key => delete normalized[key]);
+  return normalized;
+}
+
+// Older versions saved a missing apiKeys block as an empty array
+function normalizeConfig(config) {
+  if (typeOf(config) !== "object") return config;
+
+  const normalized = { ...config };
+  if (Array.isArray(normalized.containers)) normalized.containers = normalized.containers.map(normalizeContainer);
+  if (Array.isArray(normalized.apiKeys) && !normalized.apiKeys.length) normalized.apiKeys = {};
+  return normalized;
+}
+
+export {
+  validate,
+  validateConfig,
+  validateNotification,
+  validateSchedule,
+  validateBackend,
+  normalizeContainer,
+  normalizeConfig,
+  configSchema,
+  containerSchema,
+  groupSchema,
+  scheduleSchema,
+  apiKeysSchema,
+  notificationSchema,
+  authSchema
+};
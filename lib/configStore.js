@@ -0,0 +1,30 @@
+import fs from "fs";
+import path from "path";
+
+let tempCounter = 0;
+let queue = Promise.resolve();
+
+// Writes to a temp file next to the target and renames it over, so readers never see a half-written file
+function writeJsonAtomic(file, data) {
+  const content = JSON.stringify(data, null, 2);
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${tempCounter++}.tmp`);
+
+  try {
+    fs.writeFileSync(temp, content);
+    fs.renameSync(temp, file);
+  } catch (e) {
+    fs.rmSync(temp, { force: true });
+    // A config.json bind-mounted as a single file can't be replaced, write it in place instead
+    if (e.code !== "EBUSY" && e.code !== "EXDEV" && e.code !== "EPERM") throw e;
+    fs.writeFileSync(file, content);
+  }
+}
+
+// Runs fn after every previously queued config update has finished
+function withConfigLock(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+export { writeJsonAtomic, withConfigLock };
@@ -0,0 +1,161 @@
+import { validateConfig, validateBackend, normalizeContainer } from "./configSchema.js";
+import { stripSecrets, restoreSecrets, SECRET_KEYS, SECRET_MAPS } from "./auth.js";
+
+const IMPORT_MODES = ["replace", "merge"];
+
+// Users and API tokens belong to the host and are never exported or imported
+function exportConfig(config, { secrets = true } = {}) {
+  const exported = {
+    containers: config.containers || [],
+    order: config.order || [],
+    groups: config.groups || [],
+    groupOrder: config.groupOrder || [],
+    schedules: config.schedules || [],
+    apiKeys: config.apiKeys || {},
+    notifications: config.notifications || []
+  };
+  return secrets ? exported : stripSecrets(exported);
+}
+
+// Schedules are matched by what they target, ids differ between hosts
+const scheduleKey = (s) => `${s.targetType}:${s.target}`;
+
+const COLLECTIONS = {
+  containers: (c) => c.name,
+  groups: (g) => g.name,
+  schedules: scheduleKey,
+  notifications: (n) => n.name
+};
+
+function generateId() {
+  return `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+}
+
+function mergeList(current, imported, keyOf, merge) {
+  if (!merge) return imported;
+
+  const importedByKey = new Map(imported.map(item => [keyOf(item), item]));
+  const merged = current.map(item => importedByKey.get(keyOf(item)) || item);
+  const currentKeys = new Set(current.map(keyOf));
+  return [...merged, ...imported.filter(item => !currentKeys.has(keyOf(item)))];
+}
+
+// Secrets stripped from an export are taken from the same place in the saved config
+function fillSecrets(imported, current) {
+  if (!imported || typeof imported !== "object" || !current || typeof current !== "object") return imported;
+  if (Array.isArray(imported)) return imported.map((v, i) => fillSecrets(v, Array.isArray(current) ? current[i] : undefined));
+
+  const filled = Object.fromEntries(Object.entries(imported).map(([key, v]) => [key, fillSecrets(v, current[key])]));
+  [...SECRET_KEYS, ...SECRET_MAPS]
+    .filter(key => filled[key] === undefined && current[key] !== undefined)
+    .forEach(key => filled[key] = current[key]);
+  return filled;
+}
+
+// Keeps the saved order, drops names that no longer exist and appends new ones
+function cleanOrder(order, names) {
+  const kept = (order || []).filter(name => names.includes(name));
+  return [...new Set([...kept, ...names.filter(name => !kept.includes(name))])];
+}
+
+function describeChanges(current, next) {
+  return Object.fromEntries(Object.entries(COLLECTIONS).map(([collection, keyOf]) => {
+    const before = new Map((current[collection] || []).map(item => [keyOf(item), item]));
+    const after = new Map((next[collection] || []).map(item => [keyOf(item), item]));
+    // Schedule and notification ids are per host, only their settings count
+    const comparable = (item) => JSON.stringify(collection === "schedules" || collection === "notifications" ? { ...item, id: undefined } : item);
+
+    return [collection, {
+      added: [...after.keys()].filter(key => !before.has(key)),
+      changed: [...after.keys()].filter(key => before.has(key) && comparable(before.get(key)) !== comparable(after.get(key))),
+      removed: [...before.keys()].filter(key => !after.has(key))
+    }];
+  }));
+}
+
+// Groups and schedules pointing at entries that don't exist. external lists the names that
+// exist outside config.json, i.e. the containers and groups from Docker labels.
+function findDanglingReferences(config, external = {}) {
+  const containerNames = new Set([...(config.containers || []).map(c => c.name), ...(external.containers || [])]);
+  const groupNames = new Set([...(config.groups || []).map(g => g.name), ...(external.groups || [])]);
+  const errors = [];
+
+  (config.groups || []).forEach(g => (g.container || [])
+    .filter(name => !containerNames.has(name))
+    .forEach(name => errors.push({ field: `groups[${g.name}].container`, message: `references missing container "${name}"` })));
+
+  (config.schedules || []).forEach(s => {
+    const exists = s.targetType === "group" ? groupNames.has(s.target) : containerNames.has(s.target);
+    if (!exists) errors.push({ field: `schedules[${scheduleKey(s)}]`, message: `targets missing ${s.targetType} "${s.target}"` });
+  });
+
+  return errors;
+}
+
+// Builds the config an import would produce, without saving anything.
+// backends, when given, lists the registered drivers the imported containers may use.
+function planImport(current, imported, mode, external = {}, backends = null) {
+  if (!IMPORT_MODES.includes(mode)) {
+    return { errors: [{ field: "mode", message: `must be one of: ${IMPORT_MODES.join(", ")}` }] };
+  }
+  if (!imported || typeof imported !== "object" || Array.isArray(imported)) {
+    return { errors: [{ field: "(root)", message: "must be an exported config object" }] };
+  }
+
+  const shapeErrors = Object.keys(COLLECTIONS)
+    .filter(key => imported[key] !== undefined
+      && !(Array.isArray(imported[key]) && imported[key].every(item => item && typeof item === "object" && !Array.isArray(item))))
+    .map(key => ({ field: key, message: "must be an array of objects" }));
+  if (shapeErrors.length) return { errors: shapeErrors };
+
+  const merge = mode === "merge";
+  const containers = mergeList(current.containers, (imported.containers || []).map(normalizeContainer), COLLECTIONS.containers, merge);
+  const groups = mergeList(current.groups, imported.groups || [], COLLECTIONS.groups, merge);
+
+  // Matched schedules keep their id, new ones get one if the export had none
+  const currentSchedules = new Map(current.schedules.map(s => [scheduleKey(s), s]));
+  const importedSchedules = (imported.schedules || []).map(s => ({
+    ...s,
+    id: (merge && currentSchedules.get(scheduleKey(s))?.id) || s.id || generateId()
+  }));
+  const schedules = mergeList(current.schedules, importedSchedules, COLLECTIONS.schedules, merge);
+
+  // Notification targets are matched by name, stripped or masked secrets keep the saved ones
+  const currentNotifications = new Map((current.notifications || []).map(n => [n.name, n]));
+  const importedNotifications = (imported.notifications || []).map(n => {
+    const saved = currentNotifications.get(n.name);
+    return { ...fillSecrets(restoreSecrets(n, saved), saved), id: saved?.id || n.id || generateId() };
+  });
+  const notifications = mergeList(current.notifications || [], importedNotifications, COLLECTIONS.notifications, merge);
+
+  // Missing, masked or stripped API keys keep the ones saved on this host
+  const importedKeys = fillSecrets(restoreSecrets(imported.apiKeys || {}, current.apiKeys), current.apiKeys);
+  const apiKeys = merge || !imported.apiKeys ? { ...current.apiKeys, ...importedKeys } : importedKeys;
+
+  const config = {
+    containers,
+    order: cleanOrder(merge ? current.order : imported.order, containers.map(c => c.name)),
+    groups,
+    groupOrder: cleanOrder(merge ? current.groupOrder : imported.groupOrder, groups.map(g => g.name)),
+    schedules,
+    apiKeys,
+    notifications,
+    auth: current.auth
+  };
+
+  // A merge only answers for the references it adds, not for ones the saved config already had
+  const key = (e) => `${e.field} ${e.message}`;
+  const knownDangling = new Set(merge ? findDanglingReferences(current, external).map(key) : []);
+
+  return {
+    config,
+    changes: describeChanges(current, config),
+    errors: [
+      ...validateConfig(config),
+      ...findDanglingReferences(config, external).filter(e => !knownDangling.has(key(e))),
+      ...(backends ? (imported.containers || []).flatMap(c => validateBackend(c, backends, `containers[${c.name}].backend`)) : [])
+    ]
+  };
+}
+
+export { exportConfig, planImport, findDanglingReferences, IMPORT_MODES };
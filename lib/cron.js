@@ -0,0 +1,201 @@
+// Minimal 5-field cron (minute hour day-of-month month day-of-week) evaluated in an IANA timezone
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"], offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"], offset: 0 }
+];
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *"
+};
+
+// Search limit for the next run, long enough for "0 0 29 2 *"
+const MAX_SEARCH_DAYS = 366 * 8;
+
+function parseValue(text, field) {
+  const named = field.names?.indexOf(text.toUpperCase()) ?? -1;
+  if (named >= 0) return named + field.offset;
+
+  if (!/^\d+$/.test(text)) throw new Error(`invalid ${field.name} "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) throw new Error(`${field.name} ${value} is out of range`);
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(",").forEach(part => {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${field.name} "${part}"`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = parseValue(start, field);
+      to = end !== undefined ? parseValue(end, field) : stepText !== undefined ? field.max : from;
+    }
+    if (from > to) throw new Error(`invalid range in ${field.name} "${part}"`);
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+// Throws with a readable message when the expression is invalid
+function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error("cron expression needs 5 fields: minute hour day month weekday");
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  const sorted = (set) => Array.from(set).sort((a, b) => a - b);
+  return {
+    minutes: sorted(minutes),
+    hours: sorted(hours),
+    days,
+    months,
+    weekdays,
+    // Like cron, a day matches either field when both are restricted
+    daysRestricted: !parts[2].startsWith("*"),
+    weekdaysRestricted: !parts[4].startsWith("*")
+  };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function defaultTimeZone() {
+  return process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+const formatters = new Map();
+
+// Wall clock of a timestamp in timeZone
+function zonedParts(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric"
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(time))
+    .filter(p => p.type !== "literal")
+    .map(p => [p.type, Number(p.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// Timestamp of a wall clock time in timeZone, null when it doesn't exist (skipped by a DST change)
+function zonedToTime({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let time = wall;
+
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(time, timeZone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - time;
+    time = wall - offset;
+  }
+
+  const check = zonedParts(time, timeZone);
+  const matches = check.year === year && check.month === month && check.day === day
+    && check.hour === hour && check.minute === minute;
+  return matches ? time : null;
+}
+
+function matchesDay(cron, date, dayFilter) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const day = date.getUTCDate();
+  if (!cron.months.has(month)) return false;
+
+  const dayMatch = cron.days.has(day);
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+  const matches = cron.daysRestricted && cron.weekdaysRestricted ? dayMatch || weekdayMatch : dayMatch && weekdayMatch;
+  return matches && (!dayFilter || dayFilter(year, month, day));
+}
+
+// First run strictly after `after`, or null; dayFilter(year, month, day) can exclude whole days
+function nextCronRun(cron, after, { timeZone = defaultTimeZone(), dayFilter = null } = {}) {
+  const start = Math.floor(after / 60000) * 60000 + 60000;
+  const first = zonedParts(start, timeZone);
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + i));
+    if (!matchesDay(cron, date, dayFilter)) continue;
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    for (const hour of cron.hours) {
+      if (i === 0 && hour < first.hour) continue;
+
+      for (const minute of cron.minutes) {
+        if (i === 0 && hour === first.hour && minute < first.minute) continue;
+
+        const time = zonedToTime({ year, month, day, hour, minute }, timeZone);
+        if (time !== null && time >= start) return time;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Latest run at or before `before`, or null
+function prevCronRun(cron, before, { timeZone = defaultTimeZone(), dayFilter = null } = {}) {
+  const end = Math.floor(before / 60000) * 60000;
+  const last = zonedParts(end, timeZone);
+  const hours = [...cron.hours].reverse();
+  const minutes = [...cron.minutes].reverse();
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    const date = new Date(Date.UTC(last.year, last.month - 1, last.day - i));
+    if (!matchesDay(cron, date, dayFilter)) continue;
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    for (const hour of hours) {
+      if (i === 0 && hour > last.hour) continue;
+
+      for (const minute of minutes) {
+        if (i === 0 && hour === last.hour && minute > last.minute) continue;
+
+        const time = zonedToTime({ year, month, day, hour, minute }, timeZone);
+        if (time !== null && time <= end) return time;
+      }
+    }
+  }
+
+  return null;
+}
+
+export { parseCron, nextCronRun, prevCronRun, isValidTimeZone, defaultTimeZone, zonedParts };
@@ -0,0 +1,44 @@
+// Start order of containers and everything they depend on (dependsOn), dependencies first.
+// Names keep their given order where dependencies allow it. A cycle is reported and the
+// dependency closing it is ignored, so the order is still complete.
+function dependencyOrder(names, entries) {
+  const byName = new Map(entries.map(c => [c.name, c]));
+  const state = new Map(); // name -> "visiting" | "done"
+  const order = [];
+  const missing = new Set();
+  let cycle = null;
+
+  const visit = (name, path) => {
+    if (state.get(name) === "done") return;
+    if (state.get(name) === "visiting") {
+      cycle = cycle || [...path.slice(path.indexOf(name)), name];
+      return;
+    }
+
+    const entry = byName.get(name);
+    if (!entry) return missing.add(name);
+
+    state.set(name, "visiting");
+    (entry.dependsOn || []).forEach(dep => visit(dep, [...path, name]));
+    state.set(name, "done");
+    order.push(name);
+  };
+
+  names.forEach(name => visit(name, []));
+  return { order, missing: Array.from(missing), cycle };
+}
+
+// Stop order of a set of containers: dependents first, dependencies outside the set are left alone
+function stopOrder(names, entries) {
+  return dependencyOrder(names, entries).order.filter(name => names.includes(name)).reverse();
+}
+
+function findDependencyCycle(entries) {
+  return dependencyOrder(entries.map(c => c.name), entries).cycle;
+}
+
+function formatCycle(cycle) {
+  return cycle.join(" -> ");
+}
+
+export { dependencyOrder, stopOrder, findDependencyCycle, formatCycle };
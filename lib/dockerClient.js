@@ -0,0 +1,167 @@
+import http from "http";
+
+// Error returned by the Docker Engine API (statusCode 404 = unknown container, ...)
+class DockerApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = "DockerApiError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Talks to the Docker Engine API over the unix socket or a tcp:// socket proxy.
+// onRequest({ operation, duration, error }) is called after every request, e.g. for metrics.
+// While isAvailable() returns false (e.g. an open circuit breaker), requests fail without being sent.
+function createDockerClient({ socketPath = null, url = null, timeout = 3000, onRequest = null, isAvailable = null } = {}) {
+  const target = url ? new URL(url.replace("tcp://", "http://")) : null;
+
+  const connection = target
+    ? { hostname: target.hostname, port: target.port || 2375 }
+    : { socketPath };
+
+  // "GET /containers/{id}/json", without container names or query strings
+  const operationOf = (method, apiPath) => `${method} ${apiPath.split("?")[0].replace(/^\/containers\/[^/]+(?=\/)/, "/containers/{id}")}`;
+
+  function request(method, apiPath, options = {}) {
+    if (isAvailable && !isAvailable()) {
+      return Promise.reject(new Error(`Docker API at ${target ? target.host : socketPath} is unavailable, not retrying yet`));
+    }
+    if (!onRequest) return send(method, apiPath, options);
+
+    const startedAt = Date.now();
+    const report = (error) => onRequest({ operation: operationOf(method, apiPath), duration: (Date.now() - startedAt) / 1000, error });
+    return send(method, apiPath, options).then(
+      (result) => { report(null); return result; },
+      (error) => { report(error); throw error; }
+    );
+  }
+
+  function send(method, apiPath, { requestTimeout = timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        method,
+        path: apiPath,
+        headers: { "Content-Type": "application/json" },
+        timeout: requestTimeout,
+        ...connection
+      };
+
+      const req = http.request(options, (res) => {
+        let data = "";
+        res.on("data", chunk => data += chunk);
+        res.on("end", () => {
+          let body = null;
+          try {
+            body = data ? JSON.parse(data) : null;
+          } catch {
+            body = data;
+          }
+
+          if (res.statusCode >= 400) {
+            const message = body?.message || `Docker API ${method} ${apiPath} failed with ${res.statusCode}`;
+            return reject(new DockerApiError(res.statusCode, message));
+          }
+          resolve({ statusCode: res.statusCode, body });
+        });
+      });
+
+      req.on("error", reject);
+      req.on("timeout", () => {
+        req.destroy(new Error(`Docker API ${method} ${apiPath} timed out`));
+      });
+      req.end();
+    });
+  }
+
+  const containerPath = (name) => `/containers/${encodeURIComponent(name)}`;
+
+  async function listContainers({ all = true, filters = null } = {}) {
+    const query = filters ? `&filters=${encodeURIComponent(JSON.stringify(filters))}` : "";
+    const { body } = await request("GET", `/containers/json?all=${all ? 1 : 0}${query}`);
+    return body || [];
+  }
+
+  async function inspectContainer(name) {
+    const { body } = await request("GET", `${containerPath(name)}/json`);
+    return body;
+  }
+
+  // Resolves false when the container was already running (304)
+  async function startContainer(name) {
+    const { statusCode } = await request("POST", `${containerPath(name)}/start`, { requestTimeout: 30000 });
+    return statusCode !== 304;
+  }
+
+  // Resolves false when the container was already stopped (304)
+  async function stopContainer(name, { wait = 10 } = {}) {
+    const { statusCode } = await request("POST", `${containerPath(name)}/stop?t=${wait}`, {
+      requestTimeout: (wait + 20) * 1000
+    });
+    return statusCode !== 304;
+  }
+
+  // CPU usage in percent as `docker stats` shows it (100 = one core), null if not running
+  async function cpuUsage(name) {
+    const { body } = await request("GET", `${containerPath(name)}/stats?stream=false`, { requestTimeout: 10000 });
+    const current = body?.cpu_stats;
+    const previous = body?.precpu_stats;
+    if (!current?.system_cpu_usage || !previous?.system_cpu_usage) return null;
+
+    const cpuDelta = current.cpu_usage.total_usage - previous.cpu_usage.total_usage;
+    const systemDelta = current.system_cpu_usage - previous.system_cpu_usage;
+    if (systemDelta <= 0) return 0;
+
+    const cpus = current.online_cpus || current.cpu_usage.percpu_usage?.length || 1;
+    return (cpuDelta / systemDelta) * cpus * 100;
+  }
+
+  // Follows /events until the stream ends; onClose gets the error, if any, exactly once
+  function streamEvents(filters, { onOpen, onEvent, onClose }) {
+    let closed = false;
+    const close = (err = null) => {
+      if (closed) return;
+      closed = true;
+      onClose?.(err);
+    };
+
+    const query = encodeURIComponent(JSON.stringify(filters));
+    const req = http.request({ method: "GET", path: `/events?filters=${query}`, ...connection }, (res) => {
+      if (res.statusCode >= 400) {
+        res.resume();
+        return close(new DockerApiError(res.statusCode, `Docker API events stream failed with ${res.statusCode}`));
+      }
+
+      onOpen?.();
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf("\n")) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) continue;
+
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch {
+            continue; // ignore malformed lines
+          }
+          onEvent(event);
+        }
+      });
+      res.on("end", () => close());
+      res.on("error", close);
+    });
+
+    req.on("error", close);
+    req.end();
+
+    return { close: () => req.destroy() };
+  }
+
+  return { request, listContainers, inspectContainer, startContainer, stopContainer, cpuUsage, streamEvents };
+}
+
+export { createDockerClient, DockerApiError };
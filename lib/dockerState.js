@@ -0,0 +1,81 @@
+// Container states kept from the Docker events stream, with a full resync from the list endpoint
+// whenever the stream (re)connects. Only trusted by the caller while the stream is up.
+
+function parseHealthFromStatus(status) {
+  const match = /\((healthy|unhealthy|health: starting)\)/.exec(status || "");
+  if (!match) return null;
+  return match[1] === "health: starting" ? "starting" : match[1];
+}
+
+function createDockerState(client) {
+  const states = new Map(); // name -> { running, startedAt, health }
+
+  async function resync() {
+    const list = await client.listContainers({ all: true });
+    const next = new Map();
+
+    await Promise.all(list.map(async (c) => {
+      const name = c.Names[0].replace(/^\//, "");
+      const running = c.State === "running";
+      const cached = states.get(name);
+      let startedAt = cached?.running ? cached.startedAt : null;
+
+      // The list endpoint doesn't include StartedAt, inspect only what we don't know yet
+      if (running && !startedAt) {
+        try {
+          const info = await client.inspectContainer(name);
+          startedAt = new Date(info.State.StartedAt).getTime();
+        } catch {
+          startedAt = null;
+        }
+      }
+
+      next.set(name, { running, startedAt, health: parseHealthFromStatus(c.Status) });
+    }));
+
+    states.clear();
+    next.forEach((state, name) => states.set(name, state));
+  }
+
+  // Returns { name, running } when the event started or stopped a container, otherwise null
+  function apply(event) {
+    const attributes = event.Actor?.Attributes || {};
+    const name = attributes.name;
+    if (!name) return null;
+
+    const action = event.Action || event.status || "";
+    const time = event.timeNano ? Math.floor(event.timeNano / 1e6) : (event.time || 0) * 1000 || Date.now();
+    const previous = states.get(name) || { running: false, startedAt: null, health: null };
+    const next = { ...previous };
+
+    if (action === "start") {
+      next.running = true;
+      next.startedAt = time;
+      next.health = previous.health ? "starting" : null;
+    } else if (action === "die") {
+      next.running = false;
+      next.health = null;
+    } else if (action === "destroy") {
+      states.delete(name);
+      return null;
+    } else if (action === "rename") {
+      states.delete((attributes.oldName || "").replace(/^\//, ""));
+    } else if (action.startsWith("health_status")) {
+      next.health = action.split(":")[1]?.trim() || null;
+    } else {
+      return null;
+    }
+
+    states.set(name, next);
+    return previous.running !== next.running ? { name, running: next.running } : null;
+  }
+
+  return {
+    get: (name) => states.get(name),
+    names: () => Array.from(states.keys()),
+    resync,
+    apply
+  };
+}
+
+export { createDockerState, parseHealthFromStatus };
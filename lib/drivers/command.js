@@ -0,0 +1,86 @@
+import { exec } from "child_process";
+
+// Runs a user-configured script; the container name is passed as $SPINNERR_NAME, never interpolated
+function runCommand(command, name, timeout) {
+  return new Promise((resolve) => {
+    exec(command, { timeout, env: { ...process.env, SPINNERR_NAME: name } }, (error, stdout, stderr) => {
+      resolve({
+        code: error ? (typeof error.code === "number" ? error.code : 1) : 0,
+        timedOut: error?.killed === true,
+        stdout: stdout?.toString().trim() || "",
+        stderr: stderr?.toString().trim() || ""
+      });
+    });
+  });
+}
+
+// Workloads controlled through "commands": { start, stop, status, startedAt, timeout } in the container config
+function createCommandDriver({ log, onFailure = (action, name, message) => log.error(message, { container: name }) }) {
+  const startTimes = {};
+  const commandsOf = (container) => container?.commands || {};
+  const timeoutOf = (container) => (commandsOf(container).timeout || 60) * 1000;
+
+  async function run(action, name, container) {
+    const command = commandsOf(container)[action];
+    if (!command) return null;
+    return runCommand(command, name, timeoutOf(container));
+  }
+
+  // Nothing to discover, command workloads only exist in the config
+  async function list() {
+    return [];
+  }
+
+  // Starts and stops can only be checked with a status command
+  function verifiable(name, container) {
+    return Boolean(commandsOf(container).status);
+  }
+
+  // status exits with 0 while the workload is running; one that times out leaves the state unknown
+  async function isRunning(name, container) {
+    const result = await run("status", name, container);
+    if (result?.timedOut) throw new Error(`status command of ${name} timed out`);
+    return result?.code === 0;
+  }
+
+  async function start(name, container) {
+    const result = await run("start", name, container);
+    if (!result) return onFailure("start", name, `Failed to start ${name}: no start command configured`);
+
+    if (result.code === 0) {
+      startTimes[name] = Date.now();
+      log(`<${name}> started`, { container: name });
+    } else {
+      onFailure("start", name, `Failed to start ${name}: exit code ${result.code}${result.stderr ? ` - ${result.stderr}` : ""}`);
+    }
+  }
+
+  async function stop(name, container) {
+    const result = await run("stop", name, container);
+    if (!result) return onFailure("stop", name, `Failed to stop ${name}: no stop command configured`);
+
+    if (result.code === 0) {
+      log(`<${name}> stopped`, { container: name });
+    } else {
+      onFailure("stop", name, `Failed to stop ${name}: exit code ${result.code}${result.stderr ? ` - ${result.stderr}` : ""}`);
+    }
+  }
+
+  // startedAt may print epoch seconds or a date; otherwise the time Spinnerr started it is used
+  async function startedAt(name, container) {
+    const result = await run("startedAt", name, container);
+    if (result?.code === 0 && result.stdout) {
+      const value = /^\d+$/.test(result.stdout) ? Number(result.stdout) * 1000 : new Date(result.stdout).getTime();
+      if (!isNaN(value)) return value;
+    }
+    return startTimes[name] || 0;
+  }
+
+  async function health() {
+    return null;
+  }
+
+  return { list, isRunning, verifiable, start, stop, startedAt, health };
+}
+
+export { createCommandDriver };
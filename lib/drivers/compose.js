@@ -0,0 +1,99 @@
+import { parseHealthFromStatus } from "../dockerState.js";
+
+const PROJECT_LABEL = "com.docker.compose.project";
+
+// Treats a whole Docker Compose project as one workload; the project defaults to the container name
+function createComposeDriver(client, { log, onFailure = (action, name, message) => log.error(message, { container: name }) }) {
+  const projectName = (name, container) => container?.project || name;
+
+  async function projectContainers(project) {
+    return client.listContainers({ all: true, filters: { label: [`${PROJECT_LABEL}=${project}`] } });
+  }
+
+  async function list() {
+    try {
+      const containers = await client.listContainers({ all: true, filters: { label: [PROJECT_LABEL] } });
+      return [...new Set(containers.map(c => c.Labels[PROJECT_LABEL]))];
+    } catch {
+      return [];
+    }
+  }
+
+  // Throws when the API doesn't answer, the state is unknown then
+  async function isRunning(name, container) {
+    const members = await projectContainers(projectName(name, container));
+    return members.some(c => c.State === "running");
+  }
+
+  async function start(name, container) {
+    const project = projectName(name, container);
+
+    try {
+      const members = (await projectContainers(project)).filter(c => c.State !== "running");
+      if (!members.length) return;
+
+      for (const member of members) {
+        await client.startContainer(member.Id);
+      }
+      log(`<${name}> compose project ${project} started (${members.length} containers)`, { container: name });
+    } catch (e) {
+      onFailure("start", name, `Failed to start compose project ${project}: ${e.message}`);
+    }
+  }
+
+  async function stop(name, container) {
+    const project = projectName(name, container);
+
+    try {
+      const members = (await projectContainers(project)).filter(c => c.State === "running");
+      if (!members.length) return;
+
+      log(`<${name}> stopping compose project ${project}..`, { container: name });
+      for (const member of members.reverse()) {
+        await client.stopContainer(member.Id);
+      }
+    } catch (e) {
+      onFailure("stop", name, `Failed to stop compose project ${project}: ${e.message}`);
+    }
+  }
+
+  // Most recent start among the running members, so a restarted service keeps the project up
+  async function startedAt(name, container) {
+    const members = (await projectContainers(projectName(name, container))).filter(c => c.State === "running");
+    if (!members.length) return null;
+
+    const infos = await Promise.all(members.map(c => client.inspectContainer(c.Id)));
+    return Math.max(...infos.map(info => new Date(info.State.StartedAt).getTime()));
+  }
+
+  async function health(name, container) {
+    try {
+      const states = (await projectContainers(projectName(name, container)))
+        .map(c => parseHealthFromStatus(c.Status))
+        .filter(Boolean);
+      if (!states.length) return null;
+      if (states.includes("unhealthy")) return "unhealthy";
+      if (states.includes("starting")) return "starting";
+      return "healthy";
+    } catch {
+      return null;
+    }
+  }
+
+  // Summed over the running members
+  async function cpu(name, container) {
+    try {
+      const members = (await projectContainers(projectName(name, container))).filter(c => c.State === "running");
+      if (!members.length) return null;
+
+      const usage = await Promise.all(members.map(c => client.cpuUsage(c.Id)));
+      return usage.reduce((sum, value) => sum + (value || 0), 0);
+    } catch {
+      return null;
+    }
+  }
+
+  return { list, isRunning, start, stop, startedAt, health, cpu };
+}
+
+export { createComposeDriver };
@@ -0,0 +1,70 @@
+// Driver for any Docker Engine compatible API (Docker, Podman)
+// onFailure(action, name, message) reports a failed start or stop
+function createDockerApiDriver(client, { log, onFailure = (action, name, message) => log.error(message, { container: name }) }) {
+  // An unknown container isn't running; an API that doesn't answer throws, the state is unknown
+  async function isRunning(name) {
+    try {
+      const info = await client.inspectContainer(name);
+      return info?.State?.Running === true;
+    } catch (e) {
+      if (e.statusCode === 404) return false;
+      throw e;
+    }
+  }
+
+  async function list() {
+    try {
+      const containers = await client.listContainers({ all: true });
+      return containers.map(c => c.Names[0].replace(/^\//, ""));
+    } catch {
+      return [];
+    }
+  }
+
+  async function start(name) {
+    try {
+      if (await isRunning(name)) return;
+      const started = await client.startContainer(name);
+      log(started ? `<${name}> started` : `<${name}> already running`, { container: name });
+    } catch (e) {
+      onFailure("start", name, `Failed to start ${name}: ${e.message}`);
+    }
+  }
+
+  async function stop(name) {
+    try {
+      if (!(await isRunning(name))) return;
+      log(`<${name}> stopping..`, { container: name });
+      await client.stopContainer(name);
+    } catch (e) {
+      onFailure("stop", name, `Failed to stop ${name}: ${e.message}`);
+    }
+  }
+
+  async function startedAt(name) {
+    const info = await client.inspectContainer(name);
+    return new Date(info.State.StartedAt).getTime();
+  }
+
+  // Returns the HEALTHCHECK status, or null if the container doesn't define one
+  async function health(name) {
+    try {
+      const info = await client.inspectContainer(name);
+      return info?.State?.Health?.Status || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function cpu(name) {
+    try {
+      return await client.cpuUsage(name);
+    } catch {
+      return null;
+    }
+  }
+
+  return { list, isRunning, start, stop, startedAt, health, cpu };
+}
+
+export { createDockerApiDriver };
@@ -0,0 +1,84 @@
+import fs from "fs";
+import path from "path";
+
+const DAY = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^events-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+// "container.start,config.*" -> matcher; a trailing * matches any type with that prefix
+function typeMatcher(type) {
+  const patterns = String(type).split(",").map(t => t.trim()).filter(Boolean);
+  return (eventType) => patterns.some(p => p.endsWith("*") ? eventType.startsWith(p.slice(0, -1)) : eventType === p);
+}
+
+// A target is a container, group or schedule target
+const matchesTarget = (event, target) => [event.container, event.group, event.target].includes(target);
+
+// Append-only JSONL, one file per day (UTC); days older than the retention are deleted
+function createEventLog({ dir, retentionDays = 30, log }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileOf = (day) => path.join(dir, `events-${day}.jsonl`);
+
+  function days() {
+    return fs.readdirSync(dir)
+      .map(file => FILE_PATTERN.exec(file)?.[1])
+      .filter(Boolean)
+      .sort();
+  }
+
+  function append(event) {
+    try {
+      fs.appendFileSync(fileOf(dayOf(event.time)), `${JSON.stringify(event)}\n`);
+    } catch (e) {
+      log.error(`Failed to write the event log: ${e.message}`, { event: event.type });
+    }
+  }
+
+  function prune(now = Date.now()) {
+    const oldest = dayOf(now - retentionDays * DAY);
+    days().filter(day => day < oldest).forEach(day => fs.rmSync(fileOf(day), { force: true }));
+  }
+
+  function readDay(day) {
+    try {
+      return fs.readFileSync(fileOf(day), "utf-8").split("\n").filter(Boolean).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return []; // a line cut short by a crash
+        }
+      });
+    } catch {
+      return [];
+    }
+  }
+
+  // Newest first. Day files are read newest first and only until the page is complete,
+  // more tells whether anything older matches too
+  function query({ target = null, type = null, since = null, until = null, limit = 100, offset = 0 } = {}) {
+    const matchesType = type ? typeMatcher(type) : () => true;
+    const matches = (event) => (since === null || event.time >= since)
+      && (until === null || event.time <= until)
+      && (!target || matchesTarget(event, target))
+      && matchesType(event.type);
+
+    const wanted = offset + limit + 1;
+    const found = [];
+    const candidates = days()
+      .filter(day => (since === null || day >= dayOf(since)) && (until === null || day <= dayOf(until)))
+      .reverse();
+
+    for (const day of candidates) {
+      found.push(...readDay(day).reverse().filter(matches));
+      if (found.length >= wanted) break;
+    }
+
+    return { events: found.slice(offset, offset + limit), more: found.length > offset + limit };
+  }
+
+  return { append, prune, query };
+}
+
+export { createEventLog, typeMatcher };
@@ -0,0 +1,110 @@
+import { validate, containerSchema } from "./configSchema.js";
+
+const LABEL_PREFIX = "spinnerr.";
+
+// label (without prefix) -> [container field, parser]
+const LABEL_FIELDS = {
+  "host": ["host", String],
+  "url": ["url", String],
+  "path": ["path", String],
+  "idle_timeout": ["idleTimeout", parseNumber],
+  "active": ["active", parseBoolean],
+  "hold_requests": ["holdRequests", parseBoolean],
+  "max_hold_time": ["maxHoldTime", parseNumber],
+  "depends_on": ["dependsOn", parseList],
+  "min_throughput": ["minThroughput", parseNumber],
+  "log_level": ["logLevel", String],
+  "readiness.type": ["readiness.type", String],
+  "readiness.path": ["readiness.path", String],
+  "readiness.status": ["readiness.status", String],
+  "readiness.body": ["readiness.body", String],
+  "readiness.follow_redirects": ["readiness.followRedirects", parseBoolean],
+  "readiness.port": ["readiness.port", parseNumber],
+  "readiness.timeout": ["readiness.timeout", parseNumber],
+  "readiness.delay": ["readiness.delay", parseNumber],
+  "busy_probe.type": ["busyProbe.type", String],
+  "busy_probe.threshold": ["busyProbe.threshold", parseNumber],
+  "busy_probe.url": ["busyProbe.url", String],
+  "busy_probe.timeout": ["busyProbe.timeout", parseNumber]
+};
+
+// Invalid numbers stay strings, so the schema reports them
+function parseNumber(value) {
+  const number = Number(value);
+  return value.trim() === "" || Number.isNaN(number) ? value : number;
+}
+
+function parseList(value) {
+  return value.split(",").map(v => v.trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+  if (["true", "1", "yes"].includes(value.toLowerCase())) return true;
+  if (["false", "0", "no"].includes(value.toLowerCase())) return false;
+  return value;
+}
+
+// Builds a container entry from the spinnerr.* labels of one Docker container.
+// activatedAt starts the idle timeout, discovery passes the container's creation time.
+function containerFromLabels(name, labels = {}, activatedAt = null) {
+  const container = { name, active: true, activatedAt };
+  const unknown = [];
+
+  Object.entries(labels)
+    .filter(([label]) => label.startsWith(LABEL_PREFIX))
+    .forEach(([label, value]) => {
+      const key = label.slice(LABEL_PREFIX.length);
+      if (key === "enable" || key === "group") return;
+
+      const field = LABEL_FIELDS[key];
+      if (!field) return unknown.push(label);
+
+      const [fieldPath, parse] = field;
+      const [parent, child] = fieldPath.split(".");
+      if (child) container[parent] = { ...container[parent], [child]: parse(value) };
+      else container[parent] = parse(value);
+    });
+
+  const groups = parseList(labels[`${LABEL_PREFIX}group`] || "");
+  // Report errors by label, e.g. spinnerr.idle_timeout instead of idleTimeout
+  const labelOf = (field) => {
+    const key = Object.keys(LABEL_FIELDS).find(k => LABEL_FIELDS[k][0] === field);
+    return key ? `${LABEL_PREFIX}${key}` : field;
+  };
+  const errors = [
+    ...validate(containerSchema, container).map(e => ({ ...e, field: labelOf(e.field) })),
+    ...unknown.map(label => ({ field: label, message: "is not a known label" }))
+  ];
+
+  return { container, groups, errors };
+}
+
+// Containers with spinnerr.enable=true, plus the groups they ask to join
+async function discoverFromLabels(client) {
+  const list = await client.listContainers({ all: true, filters: { label: [`${LABEL_PREFIX}enable=true`] } });
+
+  const containers = [];
+  const groups = new Map(); // group name -> member names
+  const errors = [];
+
+  list.forEach(c => {
+    const name = c.Names[0].replace(/^\//, "");
+    const parsed = containerFromLabels(name, c.Labels, c.Created ? c.Created * 1000 : null);
+
+    if (parsed.errors.length) {
+      errors.push(...parsed.errors.map(e => ({ ...e, container: name })));
+      return;
+    }
+
+    containers.push(parsed.container);
+    parsed.groups.forEach(group => groups.set(group, [...(groups.get(group) || []), name]));
+  });
+
+  return {
+    containers,
+    groups: Array.from(groups, ([name, members]) => ({ name, container: members })),
+    errors
+  };
+}
+
+export { discoverFromLabels, containerFromLabels, LABEL_PREFIX };
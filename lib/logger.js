@@ -0,0 +1,104 @@
+import fs from "fs";
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FORMATS = ["json", "text"];
+
+const rank = (level) => LOG_LEVELS.indexOf(level);
+
+// Size-based rotation: file -> file.1 -> file.2 ..., the oldest beyond maxFiles is dropped
+function createRotatingFile(file, { maxSize, maxFiles }) {
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  function rotate() {
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    if (fs.existsSync(file)) fs.renameSync(file, `${file}.1`);
+    size = 0;
+  }
+
+  return (line) => {
+    try {
+      if (size > 0 && size + Buffer.byteLength(line) > maxSize) rotate();
+      fs.appendFileSync(file, line);
+      size += Buffer.byteLength(line);
+    } catch (e) {
+      console.error(`Failed to write the log file ${file}: ${e.message}`);
+    }
+  };
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .filter(([key]) => key !== "container") // already in the message as <name>
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+  return `[${time}] ${level.toUpperCase().padEnd(5)} ${msg}${extra.length ? ` (${extra.join(" ")})` : ""}`;
+}
+
+// log(message, fields) logs at info; log.debug/info/warn/error(message, fields, { every }) pick the level.
+// fields are added to the entry (container, group, event, requestId, ...). A container's own level,
+// from containerLevel(name), replaces the global one for entries about it.
+// With every (ms), the same message is logged at most once per interval, the next one counts the skipped ones.
+function createLogger({
+  level = "info",
+  format = "json",
+  file = null,
+  maxSize = 10 * 1024 * 1024,
+  maxFiles = 5,
+  containerLevel = () => null
+} = {}) {
+  const writeFile = file ? createRotatingFile(file, { maxSize, maxFiles }) : null;
+  const repeats = new Map(); // level + container + message -> { last, skipped }
+
+  function enabled(entryLevel, fields) {
+    const threshold = (fields.container && containerLevel(fields.container)) || level;
+    return rank(entryLevel) >= rank(threshold);
+  }
+
+  // Returns how many identical messages were skipped before this one, or null to skip it too
+  function throttle(key, every) {
+    const now = Date.now();
+    const seen = repeats.get(key);
+    if (seen && now - seen.last < every) {
+      seen.skipped++;
+      return null;
+    }
+    repeats.set(key, { last: now, skipped: 0 });
+    return seen?.skipped || 0;
+  }
+
+  function write(entryLevel, message, fields = {}, { every = 0 } = {}) {
+    if (!enabled(entryLevel, fields)) return;
+
+    let repeated = 0;
+    if (every) {
+      repeated = throttle(`${entryLevel}\u0000${fields.container || ""}\u0000${message}`, every);
+      if (repeated === null) return;
+    }
+
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg: message };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) entry[key] = value;
+    });
+    if (repeated) entry.repeated = repeated;
+
+    const line = format === "text" ? formatText(entry) : JSON.stringify(entry);
+    (entryLevel === "error" ? console.error : console.log)(line);
+    writeFile?.(`${line}\n`);
+  }
+
+  const log = (message, fields, options) => write("info", message, fields, options);
+  LOG_LEVELS.forEach(l => log[l] = (message, fields, options) => write(l, message, fields, options));
+
+  // Drops throttled messages not seen for a while, so the map doesn't grow with every hostname or path
+  log.sweep = (maxAge = 60 * 60 * 1000) => {
+    const now = Date.now();
+    repeats.forEach((seen, key) => now - seen.last > maxAge && repeats.delete(key));
+  };
+
+  return log;
+}
+
+export { createLogger, LOG_LEVELS, LOG_FORMATS };
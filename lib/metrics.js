@@ -0,0 +1,104 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in the text format
+
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function define(type, name, help, labelNames) {
+    const metric = { type, name, help, labelNames, values: new Map() }; // label values (JSON) -> value
+    metrics.push(metric);
+    return metric;
+  }
+
+  const keyOf = (metric, labels) => JSON.stringify(metric.labelNames.map(name => String(labels[name] ?? "")));
+
+  function counter(name, help, labelNames = []) {
+    const metric = define("counter", name, help, labelNames);
+    return {
+      inc(labels = {}, value = 1) {
+        const key = keyOf(metric, labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + value);
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const metric = define("gauge", name, help, labelNames);
+    return {
+      set(labels, value) {
+        metric.values.set(keyOf(metric, labels), value);
+      },
+      // Drops every series whose labels aren't kept, e.g. containers removed from the config
+      retain(keep) {
+        Array.from(metric.values.keys())
+          .filter(key => !keep(Object.fromEntries(metric.labelNames.map((name, i) => [name, JSON.parse(key)[i]]))))
+          .forEach(key => metric.values.delete(key));
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = define("histogram", name, help, labelNames);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const key = keyOf(metric, labels);
+        const entry = metric.values.get(key) || { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+        metric.buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        metric.values.set(key, entry);
+      }
+    };
+  }
+
+  function render() {
+    const lines = [];
+
+    metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      metric.values.forEach((value, key) => {
+        const labelValues = JSON.parse(key);
+
+        if (metric.type !== "histogram") {
+          lines.push(`${metric.name}${formatLabels(metric.labelNames, labelValues)} ${formatValue(value)}`);
+          return;
+        }
+
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, labelValues, `le="${formatValue(bound)}"`)} ${value.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, labelValues, 'le="+Inf"')} ${value.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, labelValues)} ${value.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(metric.labelNames, labelValues)} ${value.count}`);
+      });
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+export { createMetricsRegistry };
@@ -0,0 +1,150 @@
+import { sendMail } from "./smtp.js";
+import { typeMatcher } from "./eventLog.js";
+
+const NOTIFICATION_TYPES = ["webhook", "ntfy", "gotify", "smtp"];
+// Live events sent when a target doesn't list its own
+const DEFAULT_NOTIFICATION_EVENTS = ["container.start_failed", "container.stop_failed", "group.idle_stop", "backend.state"];
+const DEFAULT_DEBOUNCE = 300; // seconds
+const SEND_TIMEOUT = 10000;
+
+// Fields a target needs besides name and type
+const REQUIRED_FIELDS = {
+  webhook: ["url"],
+  ntfy: ["url", "topic"],
+  gotify: ["url", "token"],
+  smtp: ["host", "from", "to"]
+};
+
+function describeEvent(event) {
+  switch (event.type) {
+    case "container.start_failed":
+      return { title: `${event.container} failed to start`, text: event.message };
+    case "container.stop_failed":
+      return { title: `${event.container} failed to stop`, text: event.message };
+    case "group.idle_stop":
+      return { title: `Group ${event.group} stopped`, text: `Idle for ${event.idleTimeout}s, stopped ${event.containers.join(", ")}` };
+    case "backend.state":
+      return event.reachable
+        ? { title: `${event.backend} is reachable again`, text: `The ${event.backend} API answers again` }
+        : { title: `${event.backend} is unreachable`, text: event.message };
+    case "notification.test":
+      return { title: "Test notification", text: "Notifications from Spinnerr are working" };
+    default:
+      return { title: event.type, text: event.message || JSON.stringify(event) };
+  }
+}
+
+// {{field}} is replaced by the message or event field, escaped to fit inside a JSON string
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split(".").reduce((v, k) => v?.[k], values);
+    if (value === undefined || value === null) return "";
+    return JSON.stringify(typeof value === "object" ? JSON.stringify(value) : String(value)).slice(1, -1);
+  });
+}
+
+async function post(url, { method = "POST", headers = {}, body }) {
+  const response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(SEND_TIMEOUT) });
+  if (!response.ok) throw new Error(`${url} answered ${response.status} ${response.statusText}`);
+}
+
+const baseUrl = (url) => url.replace(/\/+$/, "");
+
+// Each sender gets the target and { title, text, event }
+const SENDERS = {
+  webhook: (target, message) => post(target.url, {
+    method: target.method || "POST",
+    headers: { "Content-Type": "application/json", ...(target.headers || {}) },
+    body: target.template
+      ? renderTemplate(target.template, { ...message.event, title: message.title, text: message.text })
+      : JSON.stringify(message)
+  }),
+
+  ntfy: (target, { title, text, event }) => post(`${baseUrl(target.url)}/${encodeURIComponent(target.topic)}`, {
+    headers: {
+      Title: title,
+      Tags: event.type,
+      ...(target.priority ? { Priority: String(target.priority) } : {}),
+      ...(target.token ? { Authorization: `Bearer ${target.token}` } : {})
+    },
+    body: text
+  }),
+
+  gotify: (target, { title, text }) => post(`${baseUrl(target.url)}/message`, {
+    headers: { "Content-Type": "application/json", "X-Gotify-Key": target.token },
+    body: JSON.stringify({ title, message: text, priority: target.priority ?? 5 })
+  }),
+
+  smtp: (target, { title, text }) => sendMail({
+    host: target.host,
+    port: target.port || (target.secure ? 465 : 587),
+    secure: target.secure === true,
+    verifyTls: target.verifyTls !== false,
+    insecureAuth: target.insecureAuth === true,
+    user: target.user,
+    password: target.password,
+    from: target.from,
+    to: target.to,
+    subject: title,
+    text,
+    timeout: SEND_TIMEOUT
+  })
+};
+
+// Sends live events to the targets in config.json ("notifications"). Within a target's debounce
+// window, repeats of the same event type for the same container, group or backend are counted
+// instead of sent, and the next notification mentions them.
+function createNotifier({ getTargets, log }) {
+  const recent = new Map(); // target id + event key -> { last, skipped }
+
+  const subjectOf = (event) => event.container || event.group || event.backend || "";
+
+  function debounce(target, event) {
+    const key = `${target.id}\u0000${event.type}\u0000${subjectOf(event)}`;
+    const window = (target.debounce ?? DEFAULT_DEBOUNCE) * 1000;
+    const now = Date.now();
+    const seen = recent.get(key);
+
+    if (seen && now - seen.last < window) {
+      seen.skipped++;
+      return null;
+    }
+    recent.set(key, { last: now, skipped: 0 });
+    return seen?.skipped || 0;
+  }
+
+  function send(target, event, skipped = 0) {
+    const { title, text } = describeEvent(event);
+    const note = skipped ? `\n(${skipped} similar notification(s) skipped)` : "";
+    return SENDERS[target.type](target, { title: `Spinnerr: ${title}`, text: `${text || ""}${note}`, event });
+  }
+
+  function notify(event) {
+    getTargets()
+      .filter(target => target.enabled !== false && SENDERS[target.type])
+      .filter(target => typeMatcher((target.events?.length ? target.events : DEFAULT_NOTIFICATION_EVENTS).join(","))(event.type))
+      .forEach(target => {
+        const skipped = debounce(target, event);
+        if (skipped === null) return;
+
+        send(target, event, skipped).catch(e => {
+          log.warn(`Notification <${target.name}> failed: ${e.message}`, { notification: target.id, event: event.type });
+        });
+      });
+  }
+
+  // Throws when the target can't be reached, for the test endpoint
+  function test(target) {
+    return send(target, { type: "notification.test", time: Date.now() });
+  }
+
+  // Old debounce entries, so the map doesn't grow with every container
+  function sweep(maxAge = 24 * 60 * 60 * 1000) {
+    const now = Date.now();
+    recent.forEach((seen, key) => now - seen.last > maxAge && recent.delete(key));
+  }
+
+  return { notify, test, sweep };
+}
+
+export { createNotifier, renderTemplate, NOTIFICATION_TYPES, DEFAULT_NOTIFICATION_EVENTS, REQUIRED_FIELDS };
@@ -0,0 +1,157 @@
+import { parseCron, nextCronRun, prevCronRun, defaultTimeZone } from "./cron.js";
+
+const MISSED_RUN_POLICIES = ["skip", "catchup"];
+const ACTIONS = ["start", "stop"];
+const TIMER_MODES = ["startStop", "keepRunning", "keepStopped"];
+
+// Action taken when a keep window opens
+const WINDOW_ACTIONS = { keepRunning: "start", keepStopped: "stop" };
+
+// Most frequent crons still only need this many steps to find the last missed run
+const MAX_CATCHUP_STEPS = 20000;
+
+const parsedCrons = new Map();
+
+function cachedCron(expression) {
+  if (!parsedCrons.has(expression)) parsedCrons.set(expression, parseCron(expression));
+  return parsedCrons.get(expression);
+}
+
+// Timers from the UI (startTime/stopTime on some weekdays) are the same as a daily cron
+function legacyCron(time, days) {
+  if (!time || !Array.isArray(days) || !days.length) return null;
+  const [hour, minute] = time.split(":").map(Number);
+  return `${minute} ${hour} * * ${days.join(",")}`;
+}
+
+const isWindow = (timer) => Boolean(WINDOW_ACTIONS[timer.mode]);
+
+// A keep window ending at or before its start time on the same days ends the next day instead
+function windowEndCron(timer) {
+  if (timer.stopCron || !timer.stopTime || !timer.startTime || timer.stopTime > timer.startTime) {
+    return timer.stopCron || legacyCron(timer.stopTime, timer.days);
+  }
+  return legacyCron(timer.stopTime, (timer.days || []).map(d => (d + 1) % 7));
+}
+
+function timerCron(timer, action) {
+  if (action === "stop" && isWindow(timer)) return windowEndCron(timer);
+  return timer[`${action}Cron`] || legacyCron(timer[`${action}Time`], timer.days);
+}
+
+// Every active start/stop rule of a schedule as { action, cron, timer }; keep windows
+// only act when they open, their end just lets the idle timeout take over again
+function scheduleTriggers(schedule) {
+  return (schedule.timers || []).flatMap((timer, index) => {
+    if (!timer.active) return [];
+
+    if (isWindow(timer)) {
+      const cron = timerCron(timer, "start");
+      return cron ? [{ action: WINDOW_ACTIONS[timer.mode], cron, timer: index }] : [];
+    }
+
+    return ACTIONS
+      .map(action => ({ action, cron: timerCron(timer, action), timer: index }))
+      .filter(trigger => trigger.cron);
+  });
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// startDate/endDate (inclusive) and excluded dates, either YYYY-MM-DD or a yearly MM-DD
+function dayFilter(schedule) {
+  const { startDate, endDate, exclude = [] } = schedule;
+  if (!startDate && !endDate && !exclude.length) return null;
+
+  return (year, month, day) => {
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    if (startDate && date < startDate) return false;
+    if (endDate && date > endDate) return false;
+    return !exclude.includes(date) && !exclude.includes(date.slice(5));
+  };
+}
+
+function cronOptions(schedule) {
+  return { timeZone: schedule.timezone || defaultTimeZone(), dayFilter: dayFilter(schedule) };
+}
+
+// Earliest upcoming run after `after`, as { action, time, timer }, or null
+function nextScheduleRun(schedule, after = Date.now()) {
+  const options = cronOptions(schedule);
+
+  return scheduleTriggers(schedule)
+    .map(trigger => ({ action: trigger.action, time: nextCronRun(cachedCron(trigger.cron), after, options), timer: trigger.timer }))
+    .filter(run => run.time !== null)
+    .sort((a, b) => a.time - b.time)[0] || null;
+}
+
+// Runs that fall in (from, to], at most one per rule, oldest first
+function dueRuns(schedule, from, to) {
+  const options = cronOptions(schedule);
+
+  return scheduleTriggers(schedule)
+    .map(trigger => ({ action: trigger.action, time: nextCronRun(cachedCron(trigger.cron), from, options), timer: trigger.timer }))
+    .filter(run => run.time !== null && run.time <= to)
+    .sort((a, b) => a.time - b.time);
+}
+
+// The most recent run in (from, to], e.g. while Spinnerr was stopped, and how many runs were missed
+function lastMissedRun(schedule, from, to) {
+  const options = cronOptions(schedule);
+  let last = null;
+  let missed = 0;
+
+  scheduleTriggers(schedule).forEach(trigger => {
+    const cron = cachedCron(trigger.cron);
+    let time = from;
+
+    for (let i = 0; i < MAX_CATCHUP_STEPS; i++) {
+      time = nextCronRun(cron, time, options);
+      if (time === null || time > to) break;
+
+      missed++;
+      if (!last || time > last.time) last = { action: trigger.action, time, timer: trigger.timer };
+    }
+  });
+
+  return last ? { ...last, missed } : null;
+}
+
+// Runs missed in (from, to] as { missed, run }: run is the one to make up for with the catchup
+// policy, null when the schedule skips them (the default). null when nothing was missed.
+function missedRunPlan(schedule, from, to) {
+  const last = lastMissedRun(schedule, from, to);
+  if (!last) return null;
+
+  const { missed, ...run } = last;
+  return { missed, run: schedule.missedRuns === "catchup" ? run : null };
+}
+
+// Keep windows open at `now` as { mode, timer, since, until }. Validation requires an end,
+// until is only null when the stop rule has no upcoming run.
+function activeWindows(schedule, now = Date.now()) {
+  const options = cronOptions(schedule);
+
+  return (schedule.timers || []).flatMap((timer, index) => {
+    if (!timer.active || !isWindow(timer)) return [];
+
+    const startCron = timerCron(timer, "start");
+    const stopCron = timerCron(timer, "stop");
+    if (!startCron) return [];
+
+    const since = prevCronRun(cachedCron(startCron), now, options);
+    if (since === null) return [];
+
+    // The end of a window isn't limited by the schedule's dates, a window open on endDate still closes
+    const endOptions = { timeZone: options.timeZone };
+    if (stopCron) {
+      const lastStop = prevCronRun(cachedCron(stopCron), now, endOptions);
+      if (lastStop !== null && lastStop >= since) return [];
+    }
+
+    const until = stopCron ? nextCronRun(cachedCron(stopCron), now, endOptions) : null;
+    return [{ mode: timer.mode, timer: index, since, until }];
+  });
+}
+
+export { scheduleTriggers, activeWindows, nextScheduleRun, dueRuns, lastMissedRun, missedRunPlan, MISSED_RUN_POLICIES, TIMER_MODES };
@@ -0,0 +1,138 @@
+import net from "net";
+import tls from "tls";
+import os from "os";
+
+// Minimal SMTP client for notifications: implicit TLS (secure) or STARTTLS when offered,
+// AUTH PLAIN (only over TLS unless insecureAuth), one plain text message
+
+// Replies come one at a time; a multiline reply ("250-...", "250 last") is returned whole
+function createReplyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function push(reply) {
+    if (waiting.length) waiting.shift().resolve(reply);
+    else replies.push(reply);
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf-8");
+    let index;
+    while ((index = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, "");
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        push({ code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join("\n") });
+        lines = [];
+      }
+    }
+  }
+
+  function onFailure(err) {
+    failure = failure || err || new Error("connection closed");
+    waiting.splice(0).forEach(w => w.reject(failure));
+  }
+  const onClose = () => onFailure(null);
+
+  socket.on("data", onData);
+  socket.on("error", onFailure);
+  socket.on("close", onClose);
+
+  return {
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    // Hands the socket over, e.g. to the TLS layer after STARTTLS
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onFailure);
+      socket.off("close", onClose);
+    }
+  };
+}
+
+// "Spinnerr <spinnerr@example.com>" -> "spinnerr@example.com", for MAIL FROM and RCPT TO
+function addressOf(mailbox) {
+  const match = /<([^<>]*)>\s*$/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+// Non-ASCII subjects are sent as an RFC 2047 encoded word
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+function formatMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit"
+  ];
+  // Lines starting with a dot are doubled, a lone dot would end the message
+  const body = String(text).split(/\r?\n/).map(line => line.startsWith(".") ? `.${line}` : line);
+  return [...headers, "", ...body].join("\r\n");
+}
+
+async function sendMail({ host, port, secure = false, verifyTls = true, insecureAuth = false, user, password, from, to, subject, text, timeout = 10000 }) {
+  const recipients = [].concat(to);
+  const connect = () => secure
+    ? tls.connect({ host, port, servername: host, rejectUnauthorized: verifyTls })
+    : net.connect({ host, port });
+
+  let socket = connect();
+  socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP server ${host} timed out`)));
+  let reader = createReplyReader(socket);
+
+  // The command name only, so a password never ends up in an error message
+  async function command(line, expected, name = line.split(" ")[0]) {
+    if (line) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) throw new Error(`SMTP ${name || "greeting"} failed: ${reply.code} ${reply.text}`);
+    return reply;
+  }
+
+  try {
+    await command("", [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!secure && /^STARTTLS\b/im.test(ehlo.text)) {
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = tls.connect({ socket, servername: host, rejectUnauthorized: verifyTls });
+      socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP server ${host} timed out`)));
+      reader = createReplyReader(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (user) {
+      // A missing STARTTLS may well be stripped on the way, the password is only sent encrypted
+      if (!(socket instanceof tls.TLSSocket) && !insecureAuth) {
+        throw new Error(`SMTP server ${host} offers no TLS, not sending the password in plain text`);
+      }
+      const credentials = Buffer.from(`\u0000${user}\u0000${password || ""}`).toString("base64");
+      await command(`AUTH PLAIN ${credentials}`, [235], "AUTH");
+    }
+
+    await command(`MAIL FROM:<${addressOf(from)}>`, [250], "MAIL");
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251], "RCPT");
+    }
+    await command("DATA", [354]);
+    await command(`${formatMessage({ from, to: recipients, subject, text })}\r\n.`, [250], "DATA");
+    await command("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+export { sendMail, addressOf };
@@ -0,0 +1,69 @@
+// Open proxied connections (HTTP and WebSocket) and the bytes they move, per container.
+// Bytes come from the client socket counters, sampled on every tick and when a connection ends.
+function createTrafficMonitor() {
+  const connections = new Set();
+  const totals = new Map(); // name -> { connections, bytesIn, bytesOut, throughput }
+
+  function totalsOf(name) {
+    if (!totals.has(name)) totals.set(name, { connections: 0, bytesIn: 0, bytesOut: 0, throughput: 0 });
+    return totals.get(name);
+  }
+
+  function sample(conn, now) {
+    const { bytesRead, bytesWritten } = conn.socket;
+    const received = bytesRead - conn.bytesRead;
+    const sent = bytesWritten - conn.bytesWritten;
+
+    const total = totalsOf(conn.name);
+    total.bytesIn += received;
+    total.bytesOut += sent;
+
+    conn.rate = (received + sent) * 1000 / Math.max(1, now - conn.sampledAt);
+    conn.bytesRead = bytesRead;
+    conn.bytesWritten = bytesWritten;
+    conn.sampledAt = now;
+  }
+
+  // Starts counting a connection, the returned function ends it (safe to call more than once)
+  function track(name, socket) {
+    const conn = { name, socket, bytesRead: socket.bytesRead, bytesWritten: socket.bytesWritten, sampledAt: Date.now(), rate: 0 };
+    connections.add(conn);
+    totalsOf(name).connections++;
+
+    return () => {
+      if (!connections.delete(conn)) return;
+      sample(conn, Date.now());
+      totalsOf(name).connections--;
+    };
+  }
+
+  // Samples every open connection, returns the containers with a connection moving at least
+  // minThroughput(name) bytes/s since the previous tick
+  function tick(minThroughput) {
+    const now = Date.now();
+    const throughput = new Map();
+    const busy = new Set();
+
+    connections.forEach(conn => {
+      sample(conn, now);
+      throughput.set(conn.name, (throughput.get(conn.name) || 0) + conn.rate);
+      if (conn.rate >= minThroughput(conn.name)) busy.add(conn.name);
+    });
+    totals.forEach((total, name) => total.throughput = Math.round(throughput.get(name) || 0));
+
+    return busy;
+  }
+
+  // Same check as tick() for one container, using the last sample
+  function isBusy(name, minThroughput = 0) {
+    return Array.from(connections).some(conn => conn.name === name && conn.rate >= minThroughput);
+  }
+
+  function stats(name) {
+    return { ...totalsOf(name) };
+  }
+
+  return { track, tick, isBusy, stats };
+}
+
+export { createTrafficMonitor };
@@ -1,28 +1,87 @@
 import express from "express";
-import { readConfig, saveConfig } from "./helpers.js";
+import { readConfig, updateConfig, assertValid, sendConfigError } from "./helpers.js";
+import { validate, apiKeysSchema } from "../lib/configSchema.js";
+import { redactSecrets, restoreSecrets, REDACTED } from "../lib/auth.js";
 
 const router = express.Router();
 
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Fields left out keep their saved values, null removes one and masked secrets keep the saved secret
+function mergeFields(saved, updates) {
+  if (!isObject(updates)) return updates;
+
+  const merged = { ...saved, ...restoreSecrets(updates, saved) };
+  Object.keys(merged).filter(key => merged[key] === null).forEach(key => delete merged[key]);
+  return merged;
+}
+
+// The UI's Proxmox form only sends the primary host's credentials, so TLS pinning and extra hosts
+// stay as saved. Hosts sent in the request are matched to the saved ones by hostname, not position.
+function mergePve(saved, updates) {
+  const merged = mergeFields(saved, updates);
+  if (isObject(updates) && Array.isArray(updates.hosts)) {
+    const savedHosts = saved.hosts || [];
+    merged.hosts = updates.hosts.map(host => mergeFields(savedHosts.find(h => h.hostname === host?.hostname) || {}, host));
+  }
+  return merged;
+}
+
+// The saved token only goes to the host it was saved for, testing another hostname or port needs its own
+function reusesTokenElsewhere(updates, saved) {
+  if (!isObject(updates) || !saved?.token) return false;
+
+  const moved = (updates.hostname !== undefined && updates.hostname !== saved.hostname)
+    || (updates.port !== undefined && String(updates.port) !== String(saved.port));
+  return moved && (updates.token === undefined || updates.token === REDACTED);
+}
+
 // Routes --------------------------------
 
-// GET API keys config
+// GET API keys config (tokens redacted)
 router.get("/", (req, res) => {
   const { apiKeys } = readConfig();
-  res.json(apiKeys || {});
+  res.json(redactSecrets(apiKeys || {}));
+});
+
+// UPDATE API keys config (redacted values keep the stored secret)
+router.put("/", async (req, res) => {
+  try {
+    const apiKeys = await updateConfig(req, config => {
+      const saved = config.apiKeys || {};
+      const updates = restoreSecrets({ ...req.body }, saved);
+      config.apiKeys = {
+        ...saved,
+        ...updates
+      };
+      if (req.body?.pve !== undefined) config.apiKeys.pve = mergePve(saved.pve || {}, req.body.pve);
+
+      assertValid(validate(apiKeysSchema, config.apiKeys, "apiKeys"), "Invalid API keys");
+      return config.apiKeys;
+    });
+    res.json(redactSecrets(apiKeys));
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
-// UPDATE API keys config
-router.put("/", (req, res) => {
-  const updates = { ...req.body };
-  const config = readConfig();
+// TEST Proxmox credentials (body overrides the saved ones, e.g. before saving)
+router.post("/pve/test", async (req, res) => {
+  const saved = readConfig().apiKeys?.pve || {};
+  const body = req.body || {};
 
-  config.apiKeys = {
-    ...config.apiKeys,
-    ...updates
-  };
+  const hosts = Array.isArray(body.hosts) ? body.hosts.map(host => [host, (saved.hosts || []).find(h => h.hostname === host?.hostname)]) : [];
+  if ([[body, saved], ...hosts].some(([updates, savedHost]) => reusesTokenElsewhere(updates, savedHost))) {
+    return res.status(400).json({ error: "token is required to test a different hostname or port" });
+  }
+  const pveKeys = mergePve(saved, body);
 
-  saveConfig(config);
-  res.json(config.apiKeys);
+  try {
+    const result = await req.app.locals.testPveCredentials(pveKeys);
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: "Failed to test Proxmox credentials", details: e.message });
+  }
 });
 
 export default router;
\ No newline at end of file
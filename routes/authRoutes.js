@@ -0,0 +1,165 @@
+import express from "express";
+import crypto from "crypto";
+import { readConfig, updateConfig, sendConfigError, ConfigError } from "./helpers.js";
+import { hashPassword, hashToken, generateToken, ROLES, SESSION_COOKIE, SESSION_TTL } from "../lib/auth.js";
+
+const router = express.Router();
+
+function sessionCookie(req, value, maxAge) {
+  const secure = req.secure || req.headers["x-forwarded-proto"] === "https";
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? "; Secure" : ""}`;
+}
+
+function publicUser({ username, role }) {
+  return { username, role };
+}
+
+function publicToken({ id, name, role, createdAt }) {
+  return { id, name, role, createdAt };
+}
+
+// User and token management is admin only
+router.use(["/users", "/tokens"], (req, res, next) => req.app.locals.auth.protect(req, res, next));
+
+// Routes --------------------------------
+
+// LOGIN with username and password, sets the session cookie
+router.post("/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: "Missing username or password" });
+
+  const session = req.app.locals.auth.login(username, password);
+  if (!session) return res.status(401).json({ error: "Invalid username or password" });
+
+  res.setHeader("Set-Cookie", sessionCookie(req, session.id, SESSION_TTL / 1000));
+  res.json(publicUser(session));
+});
+
+// LOGOUT
+router.post("/logout", (req, res) => {
+  const sessionId = req.app.locals.auth.sessionId(req);
+  if (sessionId) req.app.locals.auth.logout(sessionId);
+
+  res.setHeader("Set-Cookie", sessionCookie(req, "", 0));
+  res.json({ success: true });
+});
+
+// GET current user
+router.get("/me", (req, res) => {
+  const { auth } = req.app.locals;
+  const user = auth.identify(req);
+  if (!user) return res.status(401).json({ error: "Authentication required", authEnabled: true });
+
+  res.json({ ...publicUser(user), authEnabled: auth.isEnabled() });
+});
+
+// GET all users
+router.get("/users", (req, res) => {
+  const { auth } = readConfig();
+  res.json((auth.users || []).map(publicUser));
+});
+
+// ADD user
+router.post("/users", async (req, res) => {
+  const { username, password, role } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: "Missing username or password" });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+
+  try {
+    const user = await updateConfig(req, config => {
+      config.auth.users = config.auth.users || [];
+      if (config.auth.users.find(u => u.username === username)) {
+        throw new ConfigError(400, "User already exists");
+      }
+
+      const user = { username, role, passwordHash: hashPassword(password) };
+      config.auth.users.push(user);
+      return user;
+    });
+    res.json(publicUser(user));
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+// UPDATE user password and/or role
+router.put("/users/:username", async (req, res) => {
+  const { password, role } = req.body || {};
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+  }
+
+  try {
+    const user = await updateConfig(req, config => {
+      const user = (config.auth.users || []).find(u => u.username === req.params.username);
+      if (!user) throw new ConfigError(404, "User not found");
+
+      if (role !== undefined) user.role = role;
+      if (password) user.passwordHash = hashPassword(password);
+      return user;
+    });
+    res.json(publicUser(user));
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+// DELETE user
+router.delete("/users/:username", async (req, res) => {
+  try {
+    await updateConfig(req, config => {
+      const users = config.auth.users || [];
+      const index = users.findIndex(u => u.username === req.params.username);
+      if (index === -1) throw new ConfigError(404, "User not found");
+
+      users.splice(index, 1);
+    });
+    res.json({ success: true });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+// GET all API tokens (without the token itself)
+router.get("/tokens", (req, res) => {
+  const { auth } = readConfig();
+  res.json((auth.tokens || []).map(publicToken));
+});
+
+// CREATE API token, the plaintext token is only returned here
+router.post("/tokens", async (req, res) => {
+  const { name, role } = req.body || {};
+  if (!name) return res.status(400).json({ error: "Missing token name" });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+
+  const token = generateToken();
+  const entry = { id: crypto.randomUUID(), name, role, hash: hashToken(token), createdAt: Date.now() };
+
+  try {
+    await updateConfig(req, config => {
+      config.auth.tokens = config.auth.tokens || [];
+      config.auth.tokens.push(entry);
+    });
+    res.json({ ...publicToken(entry), token });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+// DELETE API token
+router.delete("/tokens/:id", async (req, res) => {
+  try {
+    await updateConfig(req, config => {
+      const tokens = config.auth.tokens || [];
+      const index = tokens.findIndex(t => t.id === req.params.id);
+      if (index === -1) throw new ConfigError(404, "Token not found");
+
+      tokens.splice(index, 1);
+    });
+    res.json({ success: true });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import express from "express";
+import { readConfig, updateConfig, sendConfigError, ConfigError } from "./helpers.js";
+import { redactSecrets } from "../lib/auth.js";
+import { exportConfig, planImport } from "../lib/configTransfer.js";
+
+const router = express.Router();
+
+// Routes --------------------------------
+
+// GET config revisions, newest first
+router.get("/history", (req, res) => {
+  res.json(req.app.locals.configHistory.list());
+});
+
+// GET one revision with its diff and config snapshot (secrets redacted)
+router.get("/history/:rev", (req, res) => {
+  const entry = req.app.locals.configHistory.get(req.params.rev);
+  if (!entry) return res.status(404).json({ error: "Revision not found" });
+
+  res.json({ ...entry, config: redactSecrets(entry.config) });
+});
+
+// ROLLBACK to a revision, users and tokens are left as they are
+router.post("/rollback/:rev", async (req, res) => {
+  const entry = req.app.locals.configHistory.get(req.params.rev);
+  if (!entry) return res.status(404).json({ error: "Revision not found" });
+
+  try {
+    await updateConfig(req, config => {
+      const { auth, ...snapshot } = entry.config;
+      if (!snapshot.containers) throw new ConfigError(400, "Revision has no config snapshot");
+      Object.assign(config, snapshot);
+    }, { source: "rollback", note: `Rollback to revision ${entry.rev}` });
+
+    const current = req.app.locals.configHistory.latest();
+    res.json({ message: `Rolled back to revision ${entry.rev}`, rev: current?.rev ?? null });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+// EXPORT the config as a file, ?secrets=false leaves out tokens and passwords
+router.get("/export", (req, res) => {
+  const exported = exportConfig(readConfig(), { secrets: req.query.secrets !== "false" });
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set("Content-Disposition", `attachment; filename="spinnerr-config-${date}.json"`);
+  res.json(exported);
+});
+
+// Entries from Docker labels can be referenced by imported groups and schedules
+function labelNames(req) {
+  return {
+    containers: req.app.locals.labelContainers().map(c => c.name),
+    groups: req.app.locals.labelGroups().map(g => g.name)
+  };
+}
+
+// IMPORT an exported config, ?mode=merge (default) or replace, ?dryRun=true only reports the changes
+router.post("/import", async (req, res) => {
+  const mode = req.query.mode || "merge";
+
+  if (req.query.dryRun === "true") {
+    const { changes = null, errors } = planImport(readConfig(), req.body, mode, labelNames(req), req.app.locals.backends());
+    return res.json({ mode, dryRun: true, valid: errors.length === 0, changes, errors });
+  }
+
+  try {
+    const changes = await updateConfig(req, config => {
+      const plan = planImport(config, req.body, mode, labelNames(req), req.app.locals.backends());
+      if (plan.errors.length) throw new ConfigError(400, "Invalid import", plan.errors);
+
+      Object.assign(config, plan.config);
+      return plan.changes;
+    }, { note: `Import (${mode})` });
+
+    res.json({ mode, dryRun: false, changes });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+export default router;
@@ -1,14 +1,36 @@
 import express from "express";
-import { readConfig, saveConfig } from "./helpers.js";
+import { readConfig, updateConfig, assertValid, sendConfigError, ConfigError, changeSource } from "./helpers.js";
+import { validate, validateBackend, containerSchema, normalizeContainer } from "../lib/configSchema.js";
 
 const router = express.Router();
 
+// Schema errors plus the backend check, which depends on the registered drivers
+function validateContainer(container, backends) {
+  return [...validate(containerSchema, container), ...validateBackend(container, backends)];
+}
+
+// Entries discovered from Docker labels are read-only here
+function labelContainer(req, name) {
+  return req.app.locals.labelContainers().find(c => c.name === name);
+}
+
+function notFoundOrReadOnly(req, name) {
+  if (labelContainer(req, name)) {
+    return new ConfigError(409, `Container ${name} is managed by Docker labels, change its labels instead`);
+  }
+  return new ConfigError(404, "Container not found");
+}
+
 // Routes --------------------------------
 
 // GET all containers in config
 router.get("/", (req, res) => {
   const { containers, order } = readConfig();
-  res.json({ containers, order });
+  const labelContainers = req.app.locals.labelContainers();
+  res.json({
+    containers: [...containers, ...labelContainers],
+    order: [...order, ...labelContainers.map(c => c.name).filter(name => !order.includes(name))]
+  });
 });
 
 // Get ALL container names in Docker  
@@ -17,59 +39,82 @@ router.get("/names", async (req, res) => {
   res.json(names);
 });
 
+// Get names per backend driver
+router.get("/backends", async (req, res) => {
+  const byBackend = await req.app.locals.allContainersByBackend(); // { docker: [...], compose: [...], ... }
+  res.json(byBackend);
+});
+
 // GET one container
 router.get("/:name", (req, res) => {
   const { containers } = readConfig();
-  const container = containers.find(c => c.name === req.params.name);
+  const container = containers.find(c => c.name === req.params.name) || labelContainer(req, req.params.name);
   if (!container) return res.status(404).json({ error: "Container not found" });
   res.json(container);
 });
 
 // ADD container
-router.post("/", (req, res) => {
-  const newContainer = req.body;
+router.post("/", async (req, res) => {
+  const newContainer = normalizeContainer(req.body);
   if (!newContainer || !newContainer.name) {
     return res.status(400).json({ error: "Missing container name" });
   }
 
-  const config = readConfig();
-  if (config.containers.find(c => c.name === newContainer.name)) {
-    return res.status(400).json({ error: "Container already exists" });
+  try {
+    assertValid(validateContainer(newContainer, req.app.locals.backends()), "Invalid container");
+
+    const created = await updateConfig(req, config => {
+      if (config.containers.find(c => c.name === newContainer.name)) {
+        throw new ConfigError(400, "Container already exists");
+      }
+      config.containers.push(newContainer);
+      return newContainer;
+    });
+    res.json(created);
+  } catch (e) {
+    sendConfigError(res, e);
   }
-
-  config.containers.push(newContainer);
-  saveConfig(config);
-  res.json(newContainer);
 });
 
 // UPDATE container
-router.put("/:name", (req, res) => {
-  const updates = { ...req.body };
+router.put("/:name", async (req, res) => {
+  const updates = normalizeContainer({ ...req.body });
   const { active } = updates;
-  const config = readConfig();
 
-  const container = config.containers.find(c => c.name === req.params.name);
-  if (!container) return res.status(404).json({ error: "Container not found" });
+  try {
+    const updated = await updateConfig(req, config => {
+      const index = config.containers.findIndex(c => c.name === req.params.name);
+      if (index === -1) throw notFoundOrReadOnly(req, req.params.name);
 
-  if (typeof active === "boolean") {
-    updates.activatedAt = active ? Date.now() : null;
-  }
+      if (typeof active === "boolean") {
+        updates.activatedAt = active ? Date.now() : null;
+      }
 
-  Object.assign(container, updates);
-  saveConfig(config);
-  res.json(container);
+      const container = { ...config.containers[index], ...updates };
+      assertValid(validateContainer(container, req.app.locals.backends()), "Invalid container");
+
+      config.containers[index] = container;
+      return container;
+    });
+    res.json(updated);
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 // DELETE container
-router.delete("/:name", (req, res) => {
-  const config = readConfig();
-  const index = config.containers.findIndex(c => c.name === req.params.name);
-
-  if (index === -1) return res.status(404).json({ error: "Container not found" });
+router.delete("/:name", async (req, res) => {
+  try {
+    const deleted = await updateConfig(req, config => {
+      const index = config.containers.findIndex(c => c.name === req.params.name);
+      if (index === -1) throw notFoundOrReadOnly(req, req.params.name);
 
-  const deleted = config.containers.splice(index, 1)[0];
-  saveConfig(config);
-  res.json(deleted);
+      return config.containers.splice(index, 1)[0];
+    });
+    res.json(deleted);
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 // Start a container
@@ -78,7 +123,11 @@ router.post("/:name/start", async (req, res) => {
 
   try {
     const startContainer = req.app.locals.startContainer;
-    await startContainer(name);
+    const { source, user } = changeSource(req);
+    if (!(await startContainer(name, { reason: source, user }))) {
+      const failure = req.app.locals.containerErrors.get(name);
+      return res.status(500).json({ error: `Failed to start container ${name}`, details: failure?.message || null });
+    }
     res.json({ message: `Container ${name} started` });
   } catch (e) {
     res.status(500).json({ error: `Failed to start container ${name}`, details: e.message });
@@ -91,13 +140,27 @@ router.post("/:name/stop", async (req, res) => {
 
   try {
     const stopContainer = req.app.locals.stopContainer;
-    await stopContainer(name);
+    const { source, user } = changeSource(req);
+    if (!(await stopContainer(name, { reason: source, user }))) {
+      const failure = req.app.locals.containerErrors.get(name);
+      return res.status(500).json({ error: `Failed to stop container ${name}`, details: failure?.message || null });
+    }
     res.json({ message: `Container ${name} stopped` });
   } catch (e) {
     res.status(500).json({ error: `Failed to stop container ${name}`, details: e.message });
   }
 });
 
+// Heartbeat from other tools (e.g. a torrent client seeding), resets the idle timer
+router.post("/:name/activity", (req, res) => {
+  const name = req.params.name;
+  const known = [...readConfig().containers, ...req.app.locals.labelContainers()].some(c => c.name === name);
+  if (!known) return res.status(404).json({ error: "Container not found" });
+
+  req.app.locals.recordActivity(name);
+  res.json({ name, lastActivity: req.app.locals.lastActivity[name] });
+});
+
 // Get LIVE status of a container
 router.get("/:name/status", async (req, res) => {
   const name = req.params.name;
@@ -105,29 +168,40 @@ router.get("/:name/status", async (req, res) => {
   const isRunning = await req.app.locals.isContainerRunning(name); // function
   const lastActivity = req.app.locals.lastActivity[name] || null; // just access property
 
+  const hold = req.app.locals.scheduleHolds.get(name) || null; // schedule window keeping it up or down
+  const heldBy = await req.app.locals.holdingGroups(name); // groups that are up and need it
+  const traffic = req.app.locals.traffic.stats(name); // open connections and bytes through the proxy
+  const error = req.app.locals.containerErrors.get(name) || null; // last start or stop that failed every attempt
+  const unavailable = req.app.locals.backendUnavailable(name); // backend circuit open, with the next retry
+
   res.json({
     name,
     running: isRunning,
-    lastActivity
+    lastActivity,
+    hold,
+    heldBy,
+    traffic,
+    error,
+    unavailable
   });
 });
 
 // POST /api/containers/order
-router.post("/order", (req, res) => {
+router.post("/order", async (req, res) => {
   const { order } = req.body;
   if (!Array.isArray(order)) return res.status(400).json({ error: "Invalid order array" });
 
-  const config = readConfig();
-
-  // Ensure every name in order exists in containers
-  const containerNames = config.containers.map(c => c.name);
-  const validOrder = order.filter(name => containerNames.includes(name));
-
-  // Update order in config
-  config.order = validOrder;
-
-  saveConfig(config);
-  res.json({ message: "Order saved", order: validOrder });
+  try {
+    const validOrder = await updateConfig(req, config => {
+      // Ensure every name in order exists in containers
+      const containerNames = [...config.containers, ...req.app.locals.labelContainers()].map(c => c.name);
+      config.order = order.filter(name => containerNames.includes(name));
+      return config.order;
+    });
+    res.json({ message: "Order saved", order: validOrder });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 
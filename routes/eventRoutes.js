@@ -0,0 +1,83 @@
+import express from "express";
+
+const router = express.Router();
+
+const KEEPALIVE_INTERVAL = 25000;
+const MAX_HISTORY_LIMIT = 1000;
+const MAX_TIME = 8.64e15; // the largest time a Date can hold
+const PUBLIC_EVENTS = ["container.state", "container.ready", "container.start_failed"];
+
+// Epoch milliseconds or any date Date.parse understands, undefined when missing,
+// NaN when invalid or beyond what a Date can hold
+function parseTime(value) {
+  if (value === undefined || value === "") return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Math.abs(time) <= MAX_TIME ? time : NaN;
+}
+
+// What the public stream on PORT shows of an event: no error details, users or schedule ids
+function publicEvent({ type, time, container, running }) {
+  return { type, time, container, running };
+}
+
+// Routes --------------------------------
+
+// GET live event stream (Server-Sent Events)
+// ?container=<name> limits the stream to one container and reports when it becomes ready
+// res.locals.publicEvents is set for the unauthenticated stream of the waiting page
+router.get("/", (req, res) => {
+  const { events, watchReadiness } = req.app.locals;
+  const container = req.query.container || null;
+  const publicOnly = Boolean(res.locals.publicEvents);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  const send = (event) => {
+    if (container && event.container !== container) return;
+    if (publicOnly && !PUBLIC_EVENTS.includes(event.type)) return;
+    const data = publicOnly ? publicEvent(event) : event;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  events.on("event", send);
+  const unwatch = container ? watchReadiness(container) : null;
+  const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(keepalive);
+    events.off("event", send);
+    unwatch?.();
+  });
+});
+
+// GET past events from the event log, newest first
+// ?target=<container or group>&type=container.start,config.*&since=&until=&limit=&offset=
+router.get("/history", (req, res) => {
+  const since = parseTime(req.query.since);
+  const until = parseTime(req.query.until);
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return res.status(400).json({ error: "since and until must be a timestamp or a date" });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_HISTORY_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const { more, events } = req.app.locals.eventLog.query({
+    target: req.query.target || null,
+    type: req.query.type || null,
+    since: since ?? null,
+    until: until ?? null,
+    limit,
+    offset
+  });
+  res.json({ limit, offset, more, events });
+});
+
+export default router;
@@ -1,34 +1,46 @@
 import express from "express";
-import { readConfig, saveConfig } from "./helpers.js";
+import { readConfig, updateConfig, assertValid, sendConfigError, ConfigError } from "./helpers.js";
+import { validate, groupSchema } from "../lib/configSchema.js";
+import { dependencyOrder, formatCycle } from "../lib/dependencies.js";
 
 const router = express.Router();
 
+// Containers from config.json and Docker labels can both be group members
+function knownContainers(req, config) {
+  return [...config.containers, ...req.app.locals.labelContainers()].map(c => c.name);
+}
+
+// Members are started in dependency order, which needs their dependsOn to be free of cycles
+function assertNoDependencyCycle(req, config, members) {
+  const { cycle } = dependencyOrder(members, [...config.containers, ...req.app.locals.labelContainers()]);
+  if (cycle) throw new ConfigError(400, `Group members have a dependency cycle: ${formatCycle(cycle)}`);
+}
+
+function notFoundOrReadOnly(req, name) {
+  if (req.app.locals.labelGroups().some(g => g.name === name)) {
+    return new ConfigError(409, `Group ${name} comes from Docker labels, change its labels instead`);
+  }
+  return new ConfigError(404, "Group not found");
+}
+
 // GET all groups and their order
 router.get("/", (req, res) => {
   const { groups, groupOrder } = readConfig();
-  res.json({groups, groupOrder });
+  const labelGroups = req.app.locals.labelGroups();
+  res.json({
+    groups: [...groups, ...labelGroups],
+    groupOrder: [...groupOrder, ...labelGroups.map(g => g.name).filter(name => !groupOrder.includes(name))]
+  });
 });
 
 /// Add new group
-router.post("/", (req, res) => {
+router.post("/", async (req, res) => {
   const { container, name, idleTimeout, active } = req.body;
 
   if (!container || (Array.isArray(container) && container.length === 0) || !name) {
     return res.status(400).json({ error: "Container(s) and Group Name are required" });
   }
 
-  const config = readConfig();
-
-  const allNames = config.containers.map(c => c.name);
-  // Validate each container
-  const invalidContainers = (Array.isArray(container) ? container : [container]).filter(
-    c => !allNames.includes(c)
-  );
-
-  if (invalidContainers.length > 0) {
-    return res.status(400).json({ error: `Container(s) do not exist: ${invalidContainers.join(", ")}` });
-  }
-
   const newGroup = {
     container: Array.isArray(container) ? container : [container],
     name,
@@ -36,83 +48,104 @@ router.post("/", (req, res) => {
     active: active === undefined ? true : !!active,
   };
 
-  config.groups.push(newGroup);
-  saveConfig(config);
-
-  res.json(newGroup);
+  try {
+    assertValid(validate(groupSchema, newGroup), "Invalid group");
+
+    await updateConfig(req, config => {
+      const allNames = knownContainers(req, config);
+      // Validate each container
+      const invalidContainers = newGroup.container.filter(c => !allNames.includes(c));
+      if (invalidContainers.length > 0) {
+        throw new ConfigError(400, `Container(s) do not exist: ${invalidContainers.join(", ")}`);
+      }
+      if (config.groups.find(g => g.name === name)) {
+        throw new ConfigError(400, "Group name already exists");
+      }
+      assertNoDependencyCycle(req, config, newGroup.container);
+
+      config.groups.push(newGroup);
+    });
+    res.json(newGroup);
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 // Update group by name
-router.put("/:name", (req, res) => {
+router.put("/:name", async (req, res) => {
   const { name } = req.params;
   const { container, idleTimeout, active } = req.body;
 
-  const config = readConfig();
-  const group = (config.groups || []).find(g => g.name === name);
-
-  if (!group) return res.status(404).json({ error: "Group not found" });
-
-  if (container !== undefined) {
-    // Normalize container to an array
-    const containersArray = Array.isArray(container) ? container : [container];
-    const allNames = config.containers.map(c => c.name);
-    const invalidContainers = containersArray.filter(c => !allNames.includes(c));
-    if (invalidContainers.length > 0) {
-      return res
-        .status(400)
-        .json({ error: `Container(s) do not exist: ${invalidContainers.join(", ")}` });
-    }
-    group.container = containersArray;
-  }
-
-  if (idleTimeout !== undefined) group.idleTimeout = idleTimeout;
-  if (active !== undefined) group.active = !!active;
-
-  if (req.body.name !== undefined) {
-    // Check for duplicate names
-    const duplicate = config.groups.find(g => g.name === req.body.name && g !== group);
-    if (duplicate) {
-      return res.status(400).json({ error: "Group name already exists" });
-    }
-    group.name = req.body.name;
+  try {
+    const updated = await updateConfig(req, config => {
+      const group = (config.groups || []).find(g => g.name === name);
+      if (!group) throw notFoundOrReadOnly(req, name);
+
+      if (container !== undefined) {
+        // Normalize container to an array
+        const containersArray = Array.isArray(container) ? container : [container];
+        const allNames = knownContainers(req, config);
+        const invalidContainers = containersArray.filter(c => !allNames.includes(c));
+        if (invalidContainers.length > 0) {
+          throw new ConfigError(400, `Container(s) do not exist: ${invalidContainers.join(", ")}`);
+        }
+        assertNoDependencyCycle(req, config, containersArray);
+        group.container = containersArray;
+      }
+
+      if (idleTimeout !== undefined) group.idleTimeout = idleTimeout;
+      if (active !== undefined) group.active = !!active;
+
+      if (req.body.name !== undefined) {
+        // Check for duplicate names
+        const duplicate = config.groups.find(g => g.name === req.body.name && g !== group);
+        if (duplicate) throw new ConfigError(400, "Group name already exists");
+        group.name = req.body.name;
+      }
+
+      assertValid(validate(groupSchema, group), "Invalid group");
+      return group;
+    });
+    res.json(updated);
+  } catch (e) {
+    sendConfigError(res, e);
   }
-
-  saveConfig(config);
-  res.json(group);
 });
 
 // Delete group by name
-router.delete("/:name", (req, res) => {
+router.delete("/:name", async (req, res) => {
   const { name } = req.params;
 
-  const config = readConfig();
-  const groups = config.groups || [];
-  const index = groups.findIndex(g => g.name === name);
-
-  if (index === -1) return res.status(404).json({ error: "Group not found" });
-
-  groups.splice(index, 1);
-  saveConfig(config);
-
-  res.json({ success: true });
+  try {
+    await updateConfig(req, config => {
+      const groups = config.groups || [];
+      const index = groups.findIndex(g => g.name === name);
+      if (index === -1) throw notFoundOrReadOnly(req, name);
+
+      groups.splice(index, 1);
+    });
+    res.json({ success: true });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 // POST /api/groups/order
-router.post("/order", (req, res) => {
+router.post("/order", async (req, res) => {
   const { order } = req.body;
   if (!Array.isArray(order)) return res.status(400).json({ error: "Invalid order array" });
 
-  const config = readConfig();
-
-  // Ensure every name in order exists in groups
-  const groupNames = config.groups.map(g => g.name);
-  const validOrder = order.filter(name => groupNames.includes(name));
-
-  // Update order in config
-  config.groupOrder = validOrder;
-  saveConfig(config);
-
-  res.json({ message: "Group order saved", order: validOrder });
+  try {
+    const validOrder = await updateConfig(req, config => {
+      // Ensure every name in order exists in groups
+      const groupNames = [...config.groups, ...req.app.locals.labelGroups()].map(g => g.name);
+      config.groupOrder = order.filter(name => groupNames.includes(name));
+      return config.groupOrder;
+    });
+    res.json({ message: "Group order saved", order: validOrder });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 export default router;
\ No newline at end of file
@@ -1,28 +1,59 @@
 import fs from "fs";
 import path from "path";
+import { validateConfig, normalizeConfig } from "../lib/configSchema.js";
+import { writeJsonAtomic, withConfigLock } from "../lib/configStore.js";
+import { createLogger } from "../lib/logger.js";
 
-const configPath = path.join("/app/config", "config.json");
+const configPath = path.join(process.env.CONFIG_DIR || "/app/config", "config.json");
+
+// The server hands over its own logger (LOG_LEVEL, LOG_FORMAT, LOG_FILE) with useLogger()
+let log = createLogger();
+
+function useLogger(logger) {
+  log = logger;
+}
+
+// Error answered to the client as-is (404 unknown entry, 400 with field errors, ...)
+class ConfigError extends Error {
+  constructor(statusCode, message, errors = []) {
+    super(message);
+    this.name = "ConfigError";
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+}
 
 // Helpers -------------------------------
+const emptyConfig = () => ({ containers: [], order: [], groups: [], groupOrder: [], schedules: [], apiKeys: {}, notifications: [], auth: {} });
+
+// Throws when config.json exists but can't be read or parsed
+function loadConfig() {
+  if (!fs.existsSync(configPath)) return emptyConfig();
+
+  const parsed = normalizeConfig(JSON.parse(fs.readFileSync(configPath, "utf-8")));
+  return {
+    containers: parsed.containers || [],
+    order: parsed.order || (parsed.containers ? parsed.containers.map(c => c.name) : []),
+    groups: parsed.groups || [],
+    groupOrder: parsed.groupOrder || (parsed.groups ? parsed.groups.map(g => g.name) : []),
+    schedules: parsed.schedules || [],
+    apiKeys: parsed.apiKeys || {},
+    notifications: parsed.notifications || [],
+    auth: parsed.auth || {}
+  };
+}
+
+// For reads only: a broken config.json lists as empty, updateConfig() refuses to write over it
 function readConfig() {
   try {
-    const raw = fs.readFileSync(configPath, "utf-8");
-    const parsed = JSON.parse(raw);
-    return { 
-      containers: parsed.containers || [],
-      order: parsed.order || (parsed.containers ? parsed.containers.map(c => c.name) : []),
-      groups: parsed.groups || [],
-      groupOrder: parsed.groupOrder || (parsed.groups ? parsed.groups.map(g => g.name) : []),
-      schedules: parsed.schedules || [],
-      apiKeys: parsed.apiKeys || []
-    };
+    return loadConfig();
   } catch (err) {
-    console.error("Failed to read config:", err);
-    return { containers: [], order: [], groups: [], groupOrder: [], schedules: []};
+    log.error(`Failed to read config: ${err.message}`);
+    return emptyConfig();
   }
 }
 
-// saveConfig
+// saveConfig, throws a ConfigError instead of writing an invalid config
 function saveConfig(config) {
   const toSave = {
     containers: config.containers || [],
@@ -30,10 +61,61 @@ function saveConfig(config) {
     groups: config.groups || [],
     groupOrder: config.groupOrder || (config.groups ? config.groups.map(g => g.name) : []),
     schedules: config.schedules || [],
-    apiKeys: config.apiKeys || []
+    apiKeys: config.apiKeys || {},
+    notifications: config.notifications || [],
+    auth: config.auth || {}
   };
 
-  fs.writeFileSync(configPath, JSON.stringify(toSave, null, 2));
+  const errors = validateConfig(toSave);
+  if (errors.length) throw new ConfigError(400, "Invalid configuration", errors);
+
+  writeJsonAtomic(configPath, toSave);
+  return toSave;
+}
+
+// Who made a change, for the config history: "api" for bearer tokens, "ui" for everything else
+function changeSource(req) {
+  const source = /^Bearer\s/i.test(req.headers.authorization || "") ? "api" : "ui";
+  return { source, user: req.user?.username || null };
+}
+
+// Read-modify-write of config.json, one update at a time, recorded in the config history
+// mutate gets the current config, changes it in place and returns the response body
+function updateConfig(req, mutate, meta = {}) {
+  return withConfigLock(async () => {
+    let config;
+    try {
+      config = loadConfig();
+    } catch (err) {
+      // Saving now would replace every entry the file still holds with an empty config
+      throw new ConfigError(409, `config.json can't be read, fix or restore it before making changes (${err.message})`);
+    }
+    const result = await mutate(config);
+    const saved = saveConfig(config);
+    req.app.locals.configHistory?.record(saved, { ...changeSource(req), ...meta });
+    // Users and tokens apply to the next request, not after the file watcher picks up the write
+    req.app.locals.applyAuthConfig?.(saved.auth);
+    return result;
+  });
+}
+
+// Throws a 400 with the field-level errors returned by validate(), if any
+function assertValid(errors, message) {
+  if (errors.length) throw new ConfigError(400, message, errors);
+}
+
+function sendConfigError(res, err) {
+  if (err instanceof ConfigError) {
+    const body = { error: err.message };
+    if (err.errors.length) {
+      body.errors = err.errors;
+      body.error = `${err.message}: ${err.errors.map(e => `${e.field} ${e.message}`).join(", ")}`;
+    }
+    return res.status(err.statusCode).json(body);
+  }
+
+  log.error(`Failed to update config: ${err.message}`, { stack: err.stack });
+  res.status(500).json({ error: "Failed to update config", details: err.message });
 }
 
-export { readConfig, saveConfig };
\ No newline at end of file
+export { readConfig, saveConfig, updateConfig, changeSource, assertValid, sendConfigError, ConfigError, useLogger };
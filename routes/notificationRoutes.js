@@ -0,0 +1,89 @@
+import express from "express";
+import { readConfig, updateConfig, assertValid, sendConfigError, ConfigError } from "./helpers.js";
+import { validateNotification } from "../lib/configSchema.js";
+import { redactSecrets, restoreSecrets } from "../lib/auth.js";
+
+const router = express.Router();
+
+function generateId() {
+  return `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+}
+
+// Routes --------------------------------
+
+// GET all notification targets (tokens and passwords redacted)
+router.get("/", (req, res) => {
+  res.json(redactSecrets(readConfig().notifications));
+});
+
+// CREATE notification target
+router.post("/", async (req, res) => {
+  const target = { enabled: true, ...req.body, id: generateId() };
+
+  try {
+    assertValid(validateNotification(target), "Invalid notification");
+
+    await updateConfig(req, config => {
+      if (config.notifications.some(n => n.name === target.name)) {
+        throw new ConfigError(400, "Notification already exists");
+      }
+      config.notifications.push(target);
+    });
+    res.json(redactSecrets(target));
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+// UPDATE notification target (redacted values keep the stored secret)
+router.put("/:id", async (req, res) => {
+  try {
+    const updated = await updateConfig(req, config => {
+      const index = config.notifications.findIndex(n => n.id === req.params.id);
+      if (index === -1) throw new ConfigError(404, "Notification not found");
+
+      const saved = config.notifications[index];
+      const target = { ...saved, ...restoreSecrets({ ...req.body }, saved), id: saved.id };
+      assertValid(validateNotification(target), "Invalid notification");
+
+      config.notifications[index] = target;
+      return target;
+    });
+    res.json(redactSecrets(updated));
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+// DELETE notification target
+router.delete("/:id", async (req, res) => {
+  try {
+    await updateConfig(req, config => {
+      const index = config.notifications.findIndex(n => n.id === req.params.id);
+      if (index === -1) throw new ConfigError(404, "Notification not found");
+      config.notifications.splice(index, 1);
+    });
+    res.json({ success: true });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
+});
+
+// TEST a target by sending it a notification (body overrides the saved settings, e.g. before saving)
+router.post("/:id/test", async (req, res) => {
+  const saved = readConfig().notifications.find(n => n.id === req.params.id);
+  if (!saved) return res.status(404).json({ error: "Notification not found" });
+
+  const target = { ...saved, ...restoreSecrets(req.body || {}, saved), id: saved.id };
+  const errors = validateNotification(target);
+  if (errors.length) return res.status(400).json({ error: "Invalid notification", errors });
+
+  try {
+    await req.app.locals.notifier.test(target);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(502).json({ error: "Failed to send the test notification", details: e.message });
+  }
+});
+
+export default router;
@@ -1,5 +1,8 @@
 import express from "express";
-import { readConfig, saveConfig } from "./helpers.js";
+import { readConfig, updateConfig, assertValid, sendConfigError, ConfigError } from "./helpers.js";
+import { validateSchedule } from "../lib/configSchema.js";
+import { nextScheduleRun } from "../lib/scheduler.js";
+import { findDanglingReferences } from "../lib/configTransfer.js";
 
 const router = express.Router();
 
@@ -7,50 +10,88 @@ function generateId() {
   return `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
 }
 
+// The target may be an entry from config.json or from Docker labels, the same check imports get
+function assertTargetExists(req, config, schedule) {
+  const external = {
+    containers: req.app.locals.labelContainers().map(c => c.name),
+    groups: [...config.groups, ...req.app.locals.labelGroups()].map(g => g.name)
+  };
+  const errors = findDanglingReferences({ containers: config.containers, schedules: [schedule] }, external);
+  assertValid(errors.map(e => ({ field: "target", message: e.message })), "Invalid schedule");
+}
+
+// nextRun is computed, it is dropped again when a schedule is sent back
+function withNextRun(schedule) {
+  return { ...schedule, nextRun: nextScheduleRun(schedule) };
+}
+
 // GET all schedules ---------------------
 router.get("/", (req, res) => {
   const config = readConfig();
-  res.json(config.schedules || []);
+  res.json((config.schedules || []).map(withNextRun));
+});
+
+// GET containers currently held up or down by a keepRunning/keepStopped window
+router.get("/holds", (req, res) => {
+  res.json(Array.from(req.app.locals.scheduleHolds, ([container, hold]) => ({ container, ...hold })));
 });
 
 // CREATE schedule -----------------------
-router.post("/", (req, res) => {
-  const config = readConfig();
-  
+router.post("/", async (req, res) => {
+  const { nextRun, ...body } = req.body;
   const newSchedule = {
-    ...req.body,
+    ...body,
     id: generateId()
   };
 
-  config.schedules.push(newSchedule);
-  saveConfig(config);
+  try {
+    assertValid(validateSchedule(newSchedule), "Invalid schedule");
 
-  res.json(newSchedule);
+    await updateConfig(req, config => {
+      assertTargetExists(req, config, newSchedule);
+      config.schedules.push(newSchedule);
+    });
+    res.json(withNextRun(newSchedule));
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 // UPDATE schedule -----------------------
-router.put("/:id", (req, res) => {
+router.put("/:id", async (req, res) => {
   const id = req.params.id;
-  const config = readConfig();
+  const { nextRun, ...body } = req.body;
 
-  const index = config.schedules.findIndex(s => s.id == id);
-  if (index === -1) return res.status(404).json({ error: "Not found" });
+  try {
+    const updated = await updateConfig(req, config => {
+      const index = config.schedules.findIndex(s => s.id == id);
+      if (index === -1) throw new ConfigError(404, "Not found");
 
-  config.schedules[index] = { ...config.schedules[index], ...req.body };
-  saveConfig(config);
+      const schedule = { ...config.schedules[index], ...body, id: config.schedules[index].id };
+      assertValid(validateSchedule(schedule), "Invalid schedule");
+      assertTargetExists(req, config, schedule);
 
-  res.json(config.schedules[index]);
+      config.schedules[index] = schedule;
+      return schedule;
+    });
+    res.json(withNextRun(updated));
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 // DELETE schedule -----------------------
-router.delete("/:id", (req, res) => {
+router.delete("/:id", async (req, res) => {
   const id = req.params.id;
-  const config = readConfig();
-
-  config.schedules = config.schedules.filter(s => s.id != id);
-  saveConfig(config);
 
-  res.json({ success: true });
+  try {
+    await updateConfig(req, config => {
+      config.schedules = config.schedules.filter(s => s.id != id);
+    });
+    res.json({ success: true });
+  } catch (e) {
+    sendConfigError(res, e);
+  }
 });
 
 export default router;
\ No newline at end of file
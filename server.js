@@ -1,31 +1,110 @@
 import express from "express";
-import { execSync, exec } from "child_process";
 import httpProxy from "http-proxy";
 import path from "path";
 import fs from "fs";
+import { EventEmitter } from "events";
 import containerRoutes from "./routes/containerRoutes.js"; 
 import groupRoutes from "./routes/groupRoutes.js";
 import scheduleRoutes from "./routes/scheduleRoutes.js";
 import apiKeyRoutes from "./routes/apiKeyRoutes.js";
+import eventRoutes from "./routes/eventRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import configRoutes from "./routes/configRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import { useLogger } from "./routes/helpers.js";
 import https from "https";
+import net from "net";
+import { randomUUID } from "crypto";
+import { createDockerClient } from "./lib/dockerClient.js";
+import { createDockerState } from "./lib/dockerState.js";
+import { createDockerApiDriver } from "./lib/drivers/dockerApi.js";
+import { createComposeDriver } from "./lib/drivers/compose.js";
+import { createCommandDriver } from "./lib/drivers/command.js";
+import { createAuth, hashPassword } from "./lib/auth.js";
+import { validateConfig, normalizeConfig } from "./lib/configSchema.js";
+import { writeJsonAtomic } from "./lib/configStore.js";
+import { createConfigHistory } from "./lib/configHistory.js";
+import { discoverFromLabels } from "./lib/labelDiscovery.js";
+import { dueRuns, missedRunPlan, activeWindows } from "./lib/scheduler.js";
+import { dependencyOrder, stopOrder, formatCycle } from "./lib/dependencies.js";
+import { createTrafficMonitor } from "./lib/traffic.js";
+import { createMetricsRegistry } from "./lib/metrics.js";
+import { createEventLog } from "./lib/eventLog.js";
+import { createLogger, LOG_LEVELS, LOG_FORMATS } from "./lib/logger.js";
+import { createNotifier } from "./lib/notifications.js";
+import { createCircuitBreaker } from "./lib/circuitBreaker.js";
 
 //----------------------------------------------------------------
 // Constants and Configuration
 //----------------------------------------------------------------
-const CONFIG_PATH = "/app/config/config.json";
+const CONFIG_DIR = process.env.CONFIG_DIR || "/app/config";
+const CONFIG_PATH = path.join(CONFIG_DIR, "config.json");
 const WAITING_PAGE = path.join("/app/public", "waiting.html");
+const LOGIN_PAGE = path.join("/app/public", "login.html");
+const TIMELINE_PAGE = path.join("/app/public", "timeline.html");
+const CONFIG_HISTORY_DIR = path.join(CONFIG_DIR, "history");
+const CONFIG_HISTORY_SIZE = Number(process.env.CONFIG_HISTORY_SIZE) || 50;
+const EVENT_LOG_DIR = path.join(CONFIG_DIR, "events");
+const EVENT_LOG_RETENTION_DAYS = Number(process.env.EVENT_LOG_RETENTION_DAYS) || 30;
+const UNLOGGED_EVENTS = ["container.activity", "container.ready"]; // frequent or only meant for the waiting page
 const PORT = process.env.PORT || 10000;
 const UI_PORT = process.env.UI_PORT || null;
+const EXPOSE_API_ON_PROXY = process.env.EXPOSE_API_ON_PROXY === "true";
+const ADMIN_USER = process.env.ADMIN_USER || "admin";
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
 const DOCKER_PROXY_URL = process.env.DOCKER_PROXY_URL || null;
-const HAS_SOCKET = fs.existsSync("/var/run/docker.sock");
+const DOCKER_SOCKET = "/var/run/docker.sock";
+const HAS_SOCKET = fs.existsSync(DOCKER_SOCKET);
+const PODMAN_SOCKET = process.env.PODMAN_SOCKET || "/run/podman/podman.sock";
+const PODMAN_URL = process.env.PODMAN_URL || null;
+const DOCKER_RESYNC_INTERVAL = 60000;
+const DOCKER_EVENTS_RETRY = 5000;
+const SCHEDULER_STATE_PATH = path.join(CONFIG_DIR, "scheduler.json");
+const SCHEDULE_TICK = 15000;
+const SCHEDULE_CATCHUP_DELAY = 5000; // lets the Docker state and label entries load first
+const MAX_CATCHUP_AGE = 7 * 24 * 60 * 60 * 1000;
+const LABEL_DISCOVERY = process.env.LABEL_DISCOVERY !== "false";
+const COMMAND_BACKEND = process.env.ENABLE_COMMAND_BACKEND === "true"; // runs shell commands from config.json
+const LABEL_DISCOVERY_EVENTS = ["create", "destroy", "rename"];
+const DEFAULT_MAX_HOLD_TIME = 60; // seconds
+const HOLD_CHECK_INTERVAL = 1000;
+const HOLD_RETRY_AFTER = 10; // seconds
+const DEPENDENCY_READY_TIMEOUT = 120; // seconds a dependency gets to pass its readiness check
+const TRAFFIC_SAMPLE_INTERVAL = 5000;
+const DEFAULT_BUSY_CPU = 10; // percent
+const COLD_START_BUCKETS = [1, 2, 5, 10, 20, 30, 60, 120, 300]; // seconds
+const MAX_COLD_START = 15 * 60 * 1000; // a start taking longer is treated as failed
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+const LOG_FORMAT = process.env.LOG_FORMAT || "json";
+const LOG_FILE = process.env.LOG_FILE || null;
+const LOG_MAX_SIZE = Number(process.env.LOG_MAX_SIZE) || 10; // MB
+const LOG_MAX_FILES = Number(process.env.LOG_MAX_FILES) || 5;
+const LOG_REPEAT_INTERVAL = 60000; // repeated messages are logged at most once per interval
+const ACTION_ATTEMPTS = 3; // a start or stop is tried this many times before it is reported as failed
+const ACTION_RETRY_DELAY = 2000; // doubled after every attempt
+const ACTION_VERIFY_TIMEOUT = { start: 30, stop: 30 }; // seconds for the backend to show the new state
+const BREAKER_THRESHOLD = 3; // failed requests in a row before a backend is treated as down
+const BREAKER_COOLDOWN = 30000; // then one trial request every 30s
 
 //----------------------------------------------------------------
-// Log function
+// Logger
 //----------------------------------------------------------------
-function log(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
-}
+// log(message, fields) at info, log.debug/warn/error(...) for the other levels; see lib/logger.js
+const log = createLogger({
+  level: LOG_LEVELS.includes(LOG_LEVEL) ? LOG_LEVEL : "info",
+  format: LOG_FORMATS.includes(LOG_FORMAT) ? LOG_FORMAT : "json",
+  file: LOG_FILE,
+  maxSize: LOG_MAX_SIZE * 1024 * 1024,
+  maxFiles: LOG_MAX_FILES,
+  // A container's logLevel overrides LOG_LEVEL for the lines about it
+  containerLevel: (name) => containers.find(c => c.name === name)?.logLevel
+});
+
+useLogger(log);
+
+if (!LOG_LEVELS.includes(LOG_LEVEL)) log.warn(`Unknown LOG_LEVEL "${LOG_LEVEL}", using info`);
+if (!LOG_FORMATS.includes(LOG_FORMAT)) log.warn(`Unknown LOG_FORMAT "${LOG_FORMAT}", using json`);
+setInterval(() => log.sweep(), 60 * 60 * 1000);
 
 //----------------------------------------------------------------
 // Load configuration
@@ -41,38 +120,257 @@ function loadConfig() {
       apiKeys: { pve: {} }
     };
     fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(defaultConfig, null, 2));
+    writeJsonAtomic(CONFIG_PATH, defaultConfig);
     log("No config.json found — created default config");
     return defaultConfig;
   }
-  return JSON.parse(fs.readFileSync(CONFIG_PATH));
+
+  const loaded = normalizeConfig(JSON.parse(fs.readFileSync(CONFIG_PATH)));
+  const errors = validateConfig(loaded);
+  if (errors.length) {
+    logConfigErrors("Invalid config.json, fix it before starting Spinnerr:", errors);
+    process.exit(1);
+  }
+  return loaded;
+}
+
+function logConfigErrors(message, errors) {
+  log.error(message, { errors });
 }
 
 //----------------------------------------------------------------
 // Initialize application state
 //----------------------------------------------------------------
 const config = loadConfig();
-let containers = config.containers;
-let groups = config.groups;
+let configContainers = config.containers;
+let configGroups = config.groups;
+let labelEntries = { containers: [], groups: [] }; // discovered from Docker labels
+let containers = configContainers;
+let groups = configGroups;
 let schedules = config.schedules || [];
-let apiKeys = config.apiKeys || {};
+const scheduleHolds = new Map(); // container name -> open keepRunning/keepStopped window
+let notificationTargets = config.notifications || [];
+let authConfig = config.auth || {};
 
 const lastActivity = {};
-const stoppingContainers = new Set();
+const stoppingContainers = new Set(); // containers and groups with a stop in progress
 const recentlyStarted = new Map();
-const lastLog = {};
-const logOnce = {};
 
 // Initialize lastActivity timestamps
 containers.forEach(c => lastActivity[c.name] = Date.now());
 
+// Combines config.json with the label entries; a config.json entry always wins over labels with the same name
+function rebuildEntries() {
+  const configNames = new Set(configContainers.map(c => c.name));
+  const labelContainers = labelEntries.containers
+    .filter(c => !configNames.has(c.name))
+    .map(c => ({ ...c, source: "labels" }));
+  const labelMembers = new Map(labelEntries.groups.map(g => [g.name, g.container.filter(n => !configNames.has(n))]));
+
+  containers = [...configContainers, ...labelContainers];
+  groups = [
+    ...configGroups.map(g => labelMembers.has(g.name)
+      ? { ...g, container: [...new Set([...g.container, ...labelMembers.get(g.name)])] }
+      : g),
+    ...labelEntries.groups
+      .filter(g => !configGroups.some(cg => cg.name === g.name) && labelMembers.get(g.name).length)
+      .map(g => ({ name: g.name, container: labelMembers.get(g.name), idleTimeout: null, active: true, source: "labels" }))
+  ];
+
+  containers.forEach(c => {
+    if (lastActivity[c.name] === undefined) lastActivity[c.name] = Date.now();
+  });
+}
+
+//----------------------------------------------------------------
+// Authentication
+//----------------------------------------------------------------
+// First admin user can be created from ADMIN_PASSWORD
+if (ADMIN_PASSWORD && !(authConfig.users || []).length) {
+  authConfig = {
+    ...authConfig,
+    users: [{ username: ADMIN_USER, role: "admin", passwordHash: hashPassword(ADMIN_PASSWORD) }]
+  };
+  writeJsonAtomic(CONFIG_PATH, { ...config, auth: authConfig });
+  log(`Created admin user <${ADMIN_USER}> from ADMIN_PASSWORD`);
+}
+
+const auth = createAuth({ getAuthConfig: () => authConfig, log });
+
+if (!auth.isEnabled()) {
+  log.warn("Web UI authentication is DISABLED - add a user or set ADMIN_PASSWORD");
+}
+
+//----------------------------------------------------------------
+// Metrics (Prometheus text format on /metrics)
+//----------------------------------------------------------------
+const metricsRegistry = createMetricsRegistry();
+
+const metrics = {
+  containerRunning: metricsRegistry.gauge("spinnerr_container_running", "Whether the container is running (1) or not (0)", ["container"]),
+  coldStarts: metricsRegistry.counter("spinnerr_cold_starts_total", "Requests that found the container stopped and woke it", ["container"]),
+  coldStartDuration: metricsRegistry.histogram("spinnerr_cold_start_duration_seconds", "Time from the first request to a stopped container until it passed its readiness check", ["container"], COLD_START_BUCKETS),
+  idleStops: metricsRegistry.counter("spinnerr_idle_stops_total", "Containers stopped by their own or their group's idle timeout", ["container"]),
+  scheduledActions: metricsRegistry.counter("spinnerr_scheduled_actions_total", "Scheduled starts and stops", ["target", "target_type", "action"]),
+  proxyRequests: metricsRegistry.counter("spinnerr_proxy_requests_total", "Proxied responses by status code", ["container", "code"]),
+  proxyErrors: metricsRegistry.counter("spinnerr_proxy_errors_total", "Proxy errors by error code", ["container", "code"]),
+  backendDuration: metricsRegistry.histogram("spinnerr_backend_request_duration_seconds", "Docker, Podman and Proxmox API request latency", ["backend", "operation"]),
+  backendFailures: metricsRegistry.counter("spinnerr_backend_request_failures_total", "Docker, Podman and Proxmox API requests that failed", ["backend", "operation"]),
+  configReloads: metricsRegistry.counter("spinnerr_config_reloads_total", "config.json reloads by result (success, invalid, error)", ["result"])
+};
+
+function observeBackendRequest(backend, { operation, duration, error }, host = null) {
+  metrics.backendDuration.observe({ backend, operation }, duration);
+  // Answers like 404 for an unknown container are not failures of the API
+  if (error && !(error.statusCode < 500)) metrics.backendFailures.inc({ backend, operation });
+  // Any answer, even an error status, means the API is reachable
+  reportBackendState(backend, !error || error.statusCode !== undefined, error?.message, host);
+}
+
+// Cold starts are timed from the request that found the container stopped to its readiness pass.
+// The server watches for that pass itself, whether or not a waiting page is still polling.
+const coldStarts = new Map(); // name -> time of that request
+
+function beginColdStart(container) {
+  const name = container.name;
+  if (coldStarts.has(name)) return;
+
+  const began = Date.now();
+  coldStarts.set(name, began);
+  metrics.coldStarts.inc({ container: name });
+  watchColdStart(container, began)
+    .catch(e => log.warn(`<${name}> cold start check failed: ${e.message}`, { container: name }))
+    .finally(() => coldStarts.delete(name));
+}
+
+// A start that failed every attempt or took longer than MAX_COLD_START isn't timed
+async function watchColdStart(container, began) {
+  while (Date.now() - began < MAX_COLD_START) {
+    await new Promise(r => setTimeout(r, HOLD_CHECK_INTERVAL));
+
+    const error = containerErrors.get(container.name);
+    if (error?.action === "start" && error.time >= began) return;
+
+    if (await isContainerReady(container)) {
+      metrics.coldStartDuration.observe({ container: container.name }, (Date.now() - began) / 1000);
+      return;
+    }
+  }
+}
+
+function sendMetrics(req, res) {
+  res.type("text/plain; version=0.0.4").send(metricsRegistry.render());
+}
+
+//----------------------------------------------------------------
+// Live events (streamed to the UI and waiting page over SSE)
+//----------------------------------------------------------------
+const events = new EventEmitter();
+events.setMaxListeners(0); // one listener per open event stream
+
+const knownState = {};
+const knownGroupState = {};
+const lastActivityEvent = {};
+
+function emitEvent(type, data = {}) {
+  events.emit("event", { type, time: Date.now(), ...data });
+}
+
+// type is "error", or a more specific event such as container.start_failed that notifications can pick
+function reportError(message, data = {}, type = "error") {
+  log.error(message, { event: type, ...data });
+  emitEvent(type, { message, ...data });
+}
+
+// One circuit breaker per backend API (and Proxmox host), so a backend that is down isn't hammered
+const backendBreakers = new Map();
+
+function breakerFor(backend, host = null) {
+  const key = host ? `${backend}:${host}` : backend;
+  if (!backendBreakers.has(key)) {
+    backendBreakers.set(key, createCircuitBreaker({ threshold: BREAKER_THRESHOLD, cooldown: BREAKER_COOLDOWN }));
+  }
+  return backendBreakers.get(key);
+}
+
+// Only changes of the circuit are reported: down after BREAKER_THRESHOLD failures, up on the next answer
+function reportBackendState(backend, reachable, message = null, host = null) {
+  const breaker = breakerFor(backend, host);
+  if (!(reachable ? breaker.success() : breaker.failure())) return;
+
+  const label = host ? `${backend} (${host})` : backend;
+  if (reachable) log(`${label} API is reachable again`, { event: "backend.state" });
+  else log.error(`${label} API is unreachable: ${message}`, { event: "backend.state" });
+  emitEvent("backend.state", { backend, host, reachable, message: reachable ? null : message });
+}
+
+function reportContainerState(name, running) {
+  metrics.containerRunning.set({ container: name }, running ? 1 : 0);
+  if (knownState[name] === running) return;
+  knownState[name] = running;
+  // A failed start is over once the container runs after all, e.g. started by hand
+  if (containerErrors.get(name)?.action === (running ? "start" : "stop")) containerErrors.delete(name);
+  emitEvent("container.state", { container: name, running });
+}
+
+function reportGroupState(name, running, total) {
+  const state = `${running}/${total}`;
+  if (knownGroupState[name] === state) return;
+  knownGroupState[name] = state;
+  emitEvent("group.state", { group: name, running, total });
+}
+
+//----------------------------------------------------------------
+// Event log (live events kept on disk, queried through /api/events/history)
+//----------------------------------------------------------------
+const eventLog = createEventLog({ dir: EVENT_LOG_DIR, retentionDays: EVENT_LOG_RETENTION_DAYS, log });
+
+events.on("event", (event) => {
+  if (!UNLOGGED_EVENTS.includes(event.type)) eventLog.append(event);
+});
+
+eventLog.prune();
+setInterval(() => eventLog.prune(), 60 * 60 * 1000);
+
+//----------------------------------------------------------------
+// Notifications (webhook, ntfy, Gotify, SMTP targets from config.json)
+//----------------------------------------------------------------
+const notifier = createNotifier({ getTargets: () => notificationTargets, log });
+
+events.on("event", (event) => notifier.notify(event));
+setInterval(() => notifier.sweep(), 60 * 60 * 1000);
+
+//----------------------------------------------------------------
+// Config history
+//----------------------------------------------------------------
+const configHistory = createConfigHistory({
+  dir: CONFIG_HISTORY_DIR,
+  size: CONFIG_HISTORY_SIZE,
+  log,
+  onRecord: (revision) => emitEvent("config.change", revision)
+});
+
+// Edits made while Spinnerr was stopped show up as a file change
+configHistory.record({ ...config, auth: authConfig }, { source: "file", note: "Startup" });
+
+// Resets the idle timer, activity events are sent at most every 5s per container
+function recordActivity(name) {
+  const now = Date.now();
+  lastActivity[name] = now;
+
+  if (!lastActivityEvent[name] || now - lastActivityEvent[name] > 5000) {
+    lastActivityEvent[name] = now;
+    emitEvent("container.activity", { container: name, lastActivity: now });
+  }
+}
+
 //----------------------------------------------------------------
 // Setup Docker connection method
 //----------------------------------------------------------------
 let dockerMethod = "none";
 if (HAS_SOCKET && DOCKER_PROXY_URL) {
   dockerMethod = "proxy";
-  log("Both socket and proxy defined, defaulted to PROXY");
+  log.warn("Both socket and proxy defined, defaulted to PROXY");
 } else if (HAS_SOCKET) {
   dockerMethod = "socket";
   log("Using SOCKET");
@@ -80,157 +378,271 @@ if (HAS_SOCKET && DOCKER_PROXY_URL) {
   dockerMethod = "proxy";
   log("Using PROXY");
 } else {
-  log("No socket or proxy found, please mount the docker socket or define a docker proxy");
+  log.warn("No socket or proxy found, please mount the docker socket or define a docker proxy");
 }
 
 //----------------------------------------------------------------
 // Proxmox Configuration
 //----------------------------------------------------------------
-const pveKeys = config.apiKeys?.pve || {};
-const pveHostname = pveKeys?.hostname || null;
-const pvePort = pveKeys?.port || null;
-const pveNode = pveKeys?.node || null;
-const pveUser = pveKeys?.user || null;
-const pveTokenId = pveKeys?.tokenId || null;
-const pveToken = pveKeys?.token || null;
-const pveAuthHeader = pveUser && pveTokenId && pveToken 
-  ? `PVEAPIToken=${pveUser}!${pveTokenId}=${pveToken}` 
-  : null;
-
-if (pveAuthHeader) {
-  log(`PVE Config: SET - ${pveHostname}:${pvePort}, node: ${pveNode}`);
-} else {
-  log("PVE Config: NOT SET");
+// apiKeys.pve holds the primary host, apiKeys.pve.hosts any additional hosts/clusters
+function loadPveHosts(pveKeys = {}) {
+  const entries = [pveKeys, ...(Array.isArray(pveKeys?.hosts) ? pveKeys.hosts : [])];
+
+  return entries
+    .filter(e => e?.hostname && e.user && e.tokenId && e.token)
+    .map(e => ({
+      hostname: e.hostname,
+      port: e.port || 8006,
+      nodes: Array.isArray(e.nodes) ? e.nodes : (e.node ? [e.node] : []),
+      authHeader: `PVEAPIToken=${e.user}!${e.tokenId}=${e.token}`,
+      ca: loadPveCa(e.ca),
+      fingerprint: e.fingerprint ? e.fingerprint.replace(/:/g, '').toUpperCase() : null,
+      verifyTls: e.verifyTls === true
+    }));
+}
+
+// ca is either PEM content or a path to a CA bundle
+function loadPveCa(ca) {
+  if (!ca) return null;
+  if (ca.includes('-----BEGIN')) return ca;
+
+  try {
+    return fs.readFileSync(ca, 'utf8');
+  } catch (e) {
+    log.warn(`PVE Config: failed to read CA bundle ${ca}: ${e.message}`);
+    return null;
+  }
+}
+
+function describePveHosts(hosts) {
+  if (!hosts.length) return "PVE Config: NOT SET";
+
+  return hosts.map(h => {
+    const tls = h.fingerprint ? "pinned fingerprint" : h.ca ? "custom CA" : h.verifyTls ? "verified" : "NOT verified";
+    return `PVE Config: SET - ${h.hostname}:${h.port}, nodes: ${h.nodes.join(", ") || "auto"}, TLS: ${tls}`;
+  }).join("\n");
+}
+
+let pveHosts = loadPveHosts(config.apiKeys?.pve);
+const pveNodeHosts = new Map(); // discovered node name -> host
+let pveLastDiscovery = 0;
+
+describePveHosts(pveHosts).split("\n").forEach(line => log(line));
+
+// Rebuilds the Proxmox client state when apiKeys change, no restart needed
+function reloadPveHosts(pveKeys) {
+  const description = describePveHosts(pveHosts);
+  pveHosts = loadPveHosts(pveKeys);
+  pveNodeHosts.clear();
+  pveLastDiscovery = 0;
+
+  const newDescription = describePveHosts(pveHosts);
+  if (newDescription !== description) newDescription.split("\n").forEach(line => log(line));
 }
 
 //----------------------------------------------------------------
 // Docker Functions
 //----------------------------------------------------------------
-async function executeDockerCommand(command, isSocket = false) {
-  return new Promise((resolve) => {
-    exec(command, { timeout: 3000 }, (error, stdout, stderr) => {
-      resolve({ error, stdout: stdout?.toString().trim(), stderr });
-    });
-  });
-}
+const dockerHooks = {
+  onRequest: (request) => observeBackendRequest("docker", request),
+  isAvailable: () => breakerFor("docker").allows()
+};
+const docker = dockerMethod === "proxy"
+  ? createDockerClient({ url: DOCKER_PROXY_URL, ...dockerHooks })
+  : dockerMethod === "socket"
+    ? createDockerClient({ socketPath: DOCKER_SOCKET, ...dockerHooks })
+    : null;
+
+// Podman through its Docker-compatible API
+const podmanHooks = {
+  onRequest: (request) => observeBackendRequest("podman", request),
+  isAvailable: () => breakerFor("podman").allows()
+};
+const podman = PODMAN_URL
+  ? createDockerClient({ url: PODMAN_URL, ...podmanHooks })
+  : fs.existsSync(PODMAN_SOCKET)
+    ? createDockerClient({ socketPath: PODMAN_SOCKET, ...podmanHooks })
+    : null;
+
+if (podman) log(`Podman API: SET - ${PODMAN_URL || PODMAN_SOCKET}`);
+
+// Direct API calls, used while the state cache isn't live, and for starts and stops
+const dockerApi = docker ? createDockerApiDriver(docker, { log, onFailure: noteFailure }) : null;
 
 async function isContainerRunningDocker(name) {
-  if (dockerMethod === "socket") {
-    const { stdout } = await executeDockerCommand(`docker inspect -f '{{.State.Running}}' ${name}`);
-    return stdout === "true";
-  } else if (dockerMethod === "proxy") {
-    try {
-      const res = await fetch(
-        `${DOCKER_PROXY_URL.replace("tcp://", "http://")}/containers/${name}/json`,
-        { signal: AbortSignal.timeout(3000) }
-      );
-      const data = await res.json();
-      return data.State.Running;
-    } catch {
-      return false;
-    }
-  }
-  return false;
+  if (!dockerApi) return false;
+  if (dockerStateLive) return dockerState.get(name)?.running === true;
+  return dockerApi.isRunning(name);
 }
 
 async function allContainersDocker() {
-  if (dockerMethod === "socket") {
-    const { stdout } = await executeDockerCommand("docker ps -a --format '{{.Names}}'");
-    return stdout ? stdout.split('\n').filter(Boolean) : [];
-  } else if (dockerMethod === "proxy") {
-    try {
-      const res = await fetch(
-        `${DOCKER_PROXY_URL.replace("tcp://", "http://")}/containers/json?all=1`,
-        { signal: AbortSignal.timeout(3000) }
-      );
-      const containers = await res.json();
-      return containers.map(c => c.Names[0].replace(/^\//, ''));
-    } catch {
-      return [];
-    }
-  }
-  return [];
+  if (!dockerApi) return [];
+  if (dockerStateLive) return dockerState.names();
+  return dockerApi.list();
 }
 
-async function checkStartTimeDocker(name, idleTimeout) {
-  const now = Date.now();
-  let startTimeStr;
+async function getStartTimeDocker(name) {
+  if (!dockerApi) return null;
 
-  try {
-    if (dockerMethod === "socket") {
-      startTimeStr = execSync(`docker inspect -f '{{.State.StartedAt}}' ${name}`).toString().trim();
-    } else if (dockerMethod === "proxy") {
-      const res = execSync(`curl -s ${DOCKER_PROXY_URL.replace("tcp://", "http://")}/containers/${name}/json`).toString().trim();
-      const containerInfo = JSON.parse(res);
-      startTimeStr = containerInfo.State.StartedAt;
-    } else {
-      return false;
-    }
+  const cached = dockerStateLive ? dockerState.get(name) : null;
+  if (cached?.startedAt) return cached.startedAt;
+  return dockerApi.startedAt(name);
+}
 
-    const startTime = new Date(startTimeStr).getTime();
-    
-    if (!logOnce[name]) {
-      log(`<${name}> checking start time (${idleTimeout}s timeout)`);
-      if (!(now - startTime > idleTimeout * 1000)) {
-        log(`<${name}> will stop once timeout reaches from start time`);
+// Returns the HEALTHCHECK status, or null if the container doesn't define one
+async function getHealthStatusDocker(name) {
+  if (!dockerApi) return null;
+  if (dockerStateLive) return dockerState.get(name)?.health || null;
+  return dockerApi.health(name);
+}
+
+// The driver checks the state itself, the live cache only saves it that call when nothing is to be done
+async function startContainerDocker(name) {
+  if (!dockerApi || (dockerStateLive && dockerState.get(name)?.running)) return;
+  await dockerApi.start(name);
+}
+
+async function stopContainerDocker(name) {
+  if (!dockerApi || (dockerStateLive && !dockerState.get(name)?.running)) return;
+  await dockerApi.stop(name);
+}
+
+//----------------------------------------------------------------
+// Docker state cache (events stream + periodic resync)
+//----------------------------------------------------------------
+const dockerState = docker ? createDockerState(docker) : null;
+let dockerEventsConnected = false;
+let dockerEventsRetrying = false;
+let dockerStateLive = false; // cache is only trusted while the events stream is up
+
+function applyDockerEvent(event) {
+  const change = dockerState.apply(event);
+  if (!change || !containers.some(c => c.name === change.name)) return;
+
+  log(`<${change.name}> is now ${change.running ? 'running' : 'stopped'}`, { container: change.name, event: "container.state" });
+  reportContainerState(change.name, change.running);
+}
+
+function watchDockerEvents() {
+  docker.streamEvents({ type: ['container'] }, {
+    onOpen: async () => {
+      dockerEventsConnected = true;
+      dockerEventsRetrying = false;
+      try {
+        await dockerState.resync();
+        dockerStateLive = dockerEventsConnected;
+        log("Docker events stream connected");
+        reportBackendState("docker", true);
+        if (LABEL_DISCOVERY) scheduleLabelDiscovery();
+      } catch (e) {
+        log.warn(`Docker state sync failed: ${e.message}`);
+      }
+    },
+    onEvent: (event) => {
+      applyDockerEvent(event);
+      if (LABEL_DISCOVERY && LABEL_DISCOVERY_EVENTS.includes(event.Action || event.status)) scheduleLabelDiscovery();
+    },
+    onClose: (err) => {
+      // Only log the first failure until the stream is back; a stream that can't reconnect means Docker is down
+      if (!dockerEventsRetrying) {
+        log.warn(`Docker events stream closed${err ? `: ${err.message}` : ''}, retrying every ${DOCKER_EVENTS_RETRY / 1000}s`);
+      } else {
+        reportBackendState("docker", false, err?.message || "events stream closed");
       }
-      logOnce[name] = true;
+      dockerEventsRetrying = true;
+      dockerEventsConnected = false;
+      dockerStateLive = false;
+      setTimeout(watchDockerEvents, DOCKER_EVENTS_RETRY);
     }
-
-    return now - startTime > idleTimeout * 1000;
-  } catch (e) {
-    log(`Error checking start time for ${name}: ${e.message}`);
-    return false;
-  }
+  });
 }
 
-async function startContainerDocker(name) {
-  if (await isContainerRunning(name)) return;
+//----------------------------------------------------------------
+// Docker label discovery (spinnerr.* labels)
+//----------------------------------------------------------------
+let labelDiscoveryTimer = null;
+let labelDiscoveryErrors = "[]";
 
+async function refreshLabelEntries() {
+  let discovered;
   try {
-    if (dockerMethod === "socket") {
-      await executeDockerCommand(`docker start ${name}`, true);
-    } else if (dockerMethod === "proxy") {
-      await executeDockerCommand(`curl -s -X POST ${DOCKER_PROXY_URL.replace("tcp://", "http://")}/containers/${name}/start`, true);
-    }
-    log(`<${name}> started`);
+    discovered = await discoverFromLabels(docker);
   } catch (e) {
-    log(`Failed to start ${name}: ${e.message}`);
+    log.warn(`Docker label discovery failed: ${e.message}`);
+    return;
+  }
+
+  // Problems are only logged again when they change
+  const errors = JSON.stringify(discovered.errors);
+  if (errors !== labelDiscoveryErrors) {
+    discovered.errors.forEach(e => log.warn(`<${e.container}> ignored, ${e.field} ${e.message}`, { container: e.container }));
+    labelDiscoveryErrors = errors;
   }
+
+  const next = { containers: discovered.containers, groups: discovered.groups };
+  if (JSON.stringify(next) === JSON.stringify(labelEntries)) return;
+
+  const before = new Set(labelEntries.containers.map(c => c.name));
+  const after = new Set(next.containers.map(c => c.name));
+  next.containers.forEach(c => {
+    if (configContainers.some(cc => cc.name === c.name)) {
+      if (!before.has(c.name)) log.warn(`<${c.name}> has Docker labels but is defined in config.json, labels ignored`, { container: c.name });
+    } else if (!before.has(c.name)) {
+      log(`<${c.name}> registered from Docker labels`, { container: c.name });
+    } else {
+      log(`<${c.name}> updated from Docker labels`, { container: c.name });
+    }
+  });
+  before.forEach(name => !after.has(name) && log(`<${name}> removed, its Docker labels are gone`, { container: name }));
+
+  labelEntries = next;
+  rebuildEntries();
+  emitEvent("discovery.update", { containers: Array.from(after), groups: next.groups.map(g => g.name) });
 }
 
-async function stopContainerDocker(name) {
-  if (!(await isContainerRunning(name))) return;
+// Label changes come in bursts (compose up/down), refresh once they settle
+function scheduleLabelDiscovery() {
+  if (labelDiscoveryTimer) return;
+  labelDiscoveryTimer = setTimeout(() => {
+    labelDiscoveryTimer = null;
+    refreshLabelEntries();
+  }, 1000);
+}
 
-  try {
-    log(`<${name}> stopping..`);
-    if (dockerMethod === "socket") {
-      await executeDockerCommand(`docker stop ${name}`, true);
-    } else if (dockerMethod === "proxy") {
-      await executeDockerCommand(`curl -s -X POST ${DOCKER_PROXY_URL.replace("tcp://", "http://")}/containers/${name}/stop`, true);
+if (docker) {
+  watchDockerEvents();
+  if (LABEL_DISCOVERY) scheduleLabelDiscovery();
+
+  // Safety net in case an event was missed
+  setInterval(async () => {
+    if (LABEL_DISCOVERY) refreshLabelEntries();
+    if (!dockerEventsConnected) return;
+    try {
+      await dockerState.resync();
+      dockerStateLive = dockerEventsConnected;
+    } catch (e) {
+      log.warn(`Docker state resync failed: ${e.message}`);
     }
-  } catch (e) {
-    log(`Failed to stop ${name}: ${e.message}`);
-  }
+  }, DOCKER_RESYNC_INTERVAL);
 }
 
 //----------------------------------------------------------------
-// Proxmox LXC Functions
+// Proxmox Functions (LXC containers and QEMU VMs)
 //----------------------------------------------------------------
-async function makeProxmoxRequest(path, method = 'GET', body = null) {
-  if (!pveAuthHeader) return null;
-
-  return new Promise((resolve) => {
+function proxmoxRequest(host, path, method = 'GET', body = null) {
+  return new Promise((resolve, reject) => {
     const options = {
-      hostname: pveHostname,
-      port: pvePort,
+      hostname: host.hostname,
+      port: host.port,
       path: `/api2/json${path}`,
       method,
       headers: {
-        'Authorization': pveAuthHeader,
+        'Authorization': host.authHeader,
         ...(body ? { 'Content-Type': 'application/json' } : {})
       },
-      rejectUnauthorized: false,
+      // A pinned fingerprint is checked below, instead of the CA chain
+      rejectUnauthorized: !host.fingerprint && (host.verifyTls || !!host.ca),
+      ...(host.ca ? { ca: host.ca } : {}),
       timeout: 5000
     };
 
@@ -238,153 +650,476 @@ async function makeProxmoxRequest(path, method = 'GET', body = null) {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
+        let parsed = null;
         try {
-          resolve(JSON.parse(data));
+          parsed = JSON.parse(data);
         } catch {
-          resolve(null);
+          parsed = null;
         }
+        resolve({ statusCode: res.statusCode, statusMessage: res.statusMessage, body: parsed });
       });
     });
 
-    req.on('error', () => resolve(null));
-    req.on('timeout', () => { req.destroy(); resolve(null); });
-    
+    // Checked before anything is sent; kept-alive sockets are checked right away
+    if (host.fingerprint) {
+      req.on('socket', (socket) => {
+        const checkFingerprint = () => {
+          const fingerprint = socket.getPeerCertificate()?.fingerprint256?.replace(/:/g, '');
+          if (fingerprint !== host.fingerprint) {
+            req.destroy(new Error(`certificate fingerprint mismatch for ${host.hostname}`));
+          }
+        };
+        if (socket.connecting) socket.once('secureConnect', checkFingerprint);
+        else checkFingerprint();
+      });
+    }
+
+    req.on('error', reject);
+    req.on('timeout', () => req.destroy(new Error(`request to ${host.hostname} timed out`)));
+
     if (body) req.write(JSON.stringify(body));
     req.end();
   });
 }
 
-async function isContainerRunningLXC(fullName) {
-  const vmid = extractVmidFromLXCName(fullName);
-  if (!vmid) return false;
+async function makeProxmoxRequest(host, path, method = 'GET', body = null) {
+  if (!host?.authHeader) return null;
+  if (!breakerFor("proxmox", host.hostname).allows()) return null;
 
-  const response = await makeProxmoxRequest(`/nodes/${pveNode}/lxc/${vmid}/status/current`);
-  if (!response?.data) return false;
+  // "GET /nodes/{node}/lxc/{vmid}/status/current", without node names or ids
+  const operation = `${method} ${path.split('?')[0].replace(/^\/nodes\/[^/]+/, '/nodes/{node}').replace(/\/(lxc|qemu)\/\d+/, '/$1/{vmid}')}`;
+  const startedAt = Date.now();
 
-  const { data } = response;
-  return data.status === 'running' || data.State?.Running === true;
+  try {
+    const { statusCode, body: response } = await proxmoxRequest(host, path, method, body);
+    observeBackendRequest("proxmox", { operation, duration: (Date.now() - startedAt) / 1000, error: statusCode >= 500 ? { statusCode } : null }, host.hostname);
+    return response;
+  } catch (e) {
+    observeBackendRequest("proxmox", { operation, duration: (Date.now() - startedAt) / 1000, error: e }, host.hostname);
+    if (e.message.includes('fingerprint mismatch')) log.error(`PVE: ${e.message}`);
+    return null;
+  }
+}
+
+// Checks connectivity and token permissions for every configured host
+const PVE_REQUIRED_PRIVILEGES = ['VM.Audit', 'VM.PowerMgmt'];
+
+async function testPveCredentials(pveKeys) {
+  const hosts = loadPveHosts(pveKeys);
+  if (!hosts.length) return { ok: false, error: "Proxmox credentials are incomplete", hosts: [] };
+
+  const results = await Promise.all(hosts.map(async (host) => {
+    const result = { hostname: host.hostname, port: host.port };
+    try {
+      const version = await proxmoxRequest(host, '/version');
+      if (version.statusCode !== 200) {
+        return { ...result, ok: false, error: `${version.statusCode} ${version.statusMessage}` };
+      }
+
+      const permissions = (await proxmoxRequest(host, '/access/permissions')).body?.data || {};
+      const granted = new Set(Object.values(permissions).flatMap(privs => Object.keys(privs)));
+      const missing = PVE_REQUIRED_PRIVILEGES.filter(p => !granted.has(p));
+
+      return {
+        ...result,
+        ok: missing.length === 0,
+        version: version.body?.data?.version || null,
+        permissions,
+        missing
+      };
+    } catch (e) {
+      return { ...result, ok: false, error: e.message };
+    }
+  }));
+
+  return { ok: results.every(r => r.ok), hosts: results };
 }
 
-async function allContainersLXC() {
-  const response = await makeProxmoxRequest(`/nodes/${pveNode}/lxc`);
-  if (!response?.data) return [];
+// "plex:100@pve1" is an LXC container, "win11:qemu:101@pve2" a QEMU VM
+function parseProxmoxName(fullName) {
+  const match = /^([^:]+):(?:(lxc|qemu):)?(\d+)@([^@:]+)$/.exec(fullName);
+  if (!match) return null;
 
-  return response.data.map(c => `${c.name}:${c.vmid}@${pveNode}`);
+  const [, name, type = 'lxc', vmid, node] = match;
+  return { name, type, vmid, node };
 }
 
-async function checkStartTimeLXC(fullName, idleTimeout) {
-  const vmid = extractVmidFromLXCName(fullName);
-  if (!vmid) return false;
+function formatProxmoxName({ name, type, vmid, node }) {
+  return type === 'qemu' ? `${name}:qemu:${vmid}@${node}` : `${name}:${vmid}@${node}`;
+}
 
-  const response = await makeProxmoxRequest(`/nodes/${pveNode}/lxc/${vmid}/status/current`);
-  if (!response?.data) return false;
+function proxmoxLabel(guest) {
+  return guest.type === 'qemu' ? 'VM' : 'LXC';
+}
 
-  const uptime = response.data.uptime || 0;
-  const startTime = Date.now() - (uptime * 1000);
-  
-  if (!logOnce[fullName]) {
-    log(`LXC <${fullName}> uptime: ${uptime}s`);
-    logOnce[fullName] = true;
+// Host serving a node as far as already known: configured nodes, then the nodes each host reported
+function knownPveHost(node) {
+  return pveHosts.find(h => h.nodes.includes(node)) || pveNodeHosts.get(node) || null;
+}
+
+// Finds the host serving a node, asking the hosts for their nodes when it isn't known yet
+async function resolvePveHost(node) {
+  const known = knownPveHost(node);
+  if (known) return known;
+
+  if (Date.now() - pveLastDiscovery > 60000) {
+    pveLastDiscovery = Date.now();
+    await Promise.all(pveHosts.map(async (host) => {
+      const response = await makeProxmoxRequest(host, '/nodes');
+      response?.data?.forEach(n => pveNodeHosts.set(n.node, host));
+    }));
+    if (pveNodeHosts.has(node)) return pveNodeHosts.get(node);
   }
 
-  return Date.now() - startTime > idleTimeout * 1000;
+  return pveHosts.length === 1 ? pveHosts[0] : null;
 }
 
-async function startContainerLXC(fullName) {
-  const vmid = extractVmidFromLXCName(fullName);
-  if (!vmid) return false;
+async function proxmoxGuestRequest(fullName, action, method = 'GET') {
+  const guest = parseProxmoxName(fullName);
+  if (!guest) return null;
 
-  const response = await makeProxmoxRequest(`/nodes/${pveNode}/lxc/${vmid}/status/start`, 'POST');
-  if (!response || response.error) return false;
+  const host = await resolvePveHost(guest.node);
+  if (!host) return null;
 
-  // Wait for container to start
+  return makeProxmoxRequest(host, `/nodes/${guest.node}/${guest.type}/${guest.vmid}/status/${action}`, method);
+}
+
+// Throws when Proxmox doesn't tell, the state is unknown then
+async function isContainerRunningProxmox(fullName) {
+  const response = await proxmoxGuestRequest(fullName, 'current');
+  if (!response) throw new Error(`Proxmox API not reachable for ${fullName}`);
+  if (!response.data) throw new Error(`Proxmox returned no status for ${fullName}`);
+
+  const { data } = response;
+  return data.status === 'running' || data.State?.Running === true;
+}
+
+// Lists LXC containers and VMs on every node of every configured host
+async function allContainersProxmox() {
+  const results = await Promise.all(pveHosts.map(async (host) => {
+    const response = await makeProxmoxRequest(host, '/cluster/resources?type=vm');
+    if (!response?.data) return [];
+
+    return response.data
+      .filter(r => r.type === 'lxc' || r.type === 'qemu')
+      .map(r => {
+        pveNodeHosts.set(r.node, host);
+        return formatProxmoxName({ name: r.name, type: r.type, vmid: r.vmid, node: r.node });
+      });
+  }));
+
+  return results.flat();
+}
+
+async function getStartTimeProxmox(fullName) {
+  const response = await proxmoxGuestRequest(fullName, 'current');
+  if (!response?.data) return null;
+
+  const uptime = response.data.uptime || 0;
+  return Date.now() - (uptime * 1000);
+}
+
+async function startContainerProxmox(fullName) {
+  const guest = parseProxmoxName(fullName);
+  if (!guest) return false;
+
+  const response = await proxmoxGuestRequest(fullName, 'start', 'POST');
+  if (!response || response.error) {
+    noteFailure("start", fullName, `Failed to start ${fullName}: ${response ? "request refused" : "Proxmox API not reachable"}`);
+    return false;
+  }
+
+  // Wait for container to start (a status Proxmox can't tell just means another round)
   for (let i = 0; i < 30; i++) {
     await new Promise(r => setTimeout(r, 1000));
-    if (await isContainerRunningLXC(fullName)) {
-      log(`LXC ${fullName} started`);
+    if (await isContainerRunningProxmox(fullName).catch(() => null) === true) {
+      log(`${proxmoxLabel(guest)} ${fullName} started`, { container: fullName });
       return true;
     }
   }
   
-  log(`LXC ${fullName} start timeout`);
+  noteFailure("start", fullName, `${proxmoxLabel(guest)} ${fullName} start timeout`);
   return false;
 }
 
-async function stopContainerLXC(fullName) {
-  const vmid = extractVmidFromLXCName(fullName);
-  if (!vmid) return false;
+// CPU usage in percent as the Proxmox UI shows it (100 = all cores of the guest)
+async function getCpuUsageProxmox(fullName) {
+  const response = await proxmoxGuestRequest(fullName, 'current');
+  if (response?.data?.status !== 'running' || typeof response.data.cpu !== 'number') return null;
+  return response.data.cpu * 100;
+}
+
+async function stopContainerProxmox(fullName) {
+  const guest = parseProxmoxName(fullName);
+  if (!guest) return false;
 
-  const response = await makeProxmoxRequest(`/nodes/${pveNode}/lxc/${vmid}/status/shutdown`, 'POST');
-  if (!response || response.error) return false;
+  const response = await proxmoxGuestRequest(fullName, 'shutdown', 'POST');
+  if (!response || response.error) {
+    noteFailure("stop", fullName, `Failed to stop ${fullName}: ${response ? "request refused" : "Proxmox API not reachable"}`);
+    return false;
+  }
 
   // Wait for container to stop
   for (let i = 0; i < 30; i++) {
     await new Promise(r => setTimeout(r, 1000));
-    if (!(await isContainerRunningLXC(fullName))) {
-      log(`LXC ${fullName} stopped`);
+    if (await isContainerRunningProxmox(fullName).catch(() => null) === false) {
+      log(`${proxmoxLabel(guest)} ${fullName} stopped`, { container: fullName });
       return true;
     }
   }
   
-  log(`LXC ${fullName} shutdown timeout`);
+  noteFailure("stop", fullName, `${proxmoxLabel(guest)} ${fullName} shutdown timeout`);
   return false;
 }
 
-function extractVmidFromLXCName(fullName) {
-  const parts = fullName.split(':');
-  if (parts.length !== 2) return null;
-  
-  const vmidNodePart = parts[1];
-  const vmidNodeParts = vmidNodePart.split('@');
-  if (vmidNodeParts.length !== 2) return null;
-  
-  const vmid = vmidNodeParts[0];
-  return vmid && !isNaN(parseInt(vmid)) ? vmid : null;
-}
-
 //----------------------------------------------------------------
-// Combined Functions (Docker + Proxmox LXC)
+// Backend drivers
 //----------------------------------------------------------------
-function isLXCContainer(name) {
-  return name.includes(':') && name.includes('@');
+// Every driver implements list/isRunning/start/stop/startedAt/health, and optionally cpu
+// (usage in percent, for busy probes) and verifiable (false when isRunning can't be trusted to
+// check a start or stop), called with the container name and its config entry
+const drivers = {};
+
+function registerDriver(name, driver) {
+  drivers[name] = driver;
+}
+
+registerDriver("docker", {
+  list: allContainersDocker,
+  isRunning: isContainerRunningDocker,
+  start: startContainerDocker,
+  stop: stopContainerDocker,
+  startedAt: getStartTimeDocker,
+  health: getHealthStatusDocker,
+  cpu: async (name) => dockerApi ? dockerApi.cpu(name) : null
+});
+
+registerDriver("proxmox", {
+  list: allContainersProxmox,
+  isRunning: isContainerRunningProxmox,
+  start: startContainerProxmox,
+  stop: stopContainerProxmox,
+  startedAt: getStartTimeProxmox,
+  health: async () => null,
+  cpu: getCpuUsageProxmox
+});
+
+if (docker) registerDriver("compose", createComposeDriver(docker, { log, onFailure: noteFailure }));
+if (podman) registerDriver("podman", createDockerApiDriver(podman, { log, onFailure: noteFailure }));
+if (COMMAND_BACKEND) registerDriver("command", createCommandDriver({ log, onFailure: noteFailure }));
+
+function isProxmoxGuest(name) {
+  return parseProxmoxName(name) !== null;
 }
 
+// Containers without an explicit backend fall back to detecting it from the name
+function getBackendName(name) {
+  const container = containers.find(c => c.name === name);
+  if (container?.backend) return container.backend;
+  return isProxmoxGuest(name) ? "proxmox" : "docker";
+}
+
+// The API a container is managed through, null for backends without one (commands)
+function backendApiOf(name) {
+  const backend = getBackendName(name);
+  if (backend === "docker" || backend === "compose") return docker ? { backend: "docker", host: null } : null;
+  if (backend === "podman") return podman ? { backend: "podman", host: null } : null;
+  if (backend === "proxmox") {
+    const guest = parseProxmoxName(name);
+    const host = guest && (knownPveHost(guest.node) || (pveHosts.length === 1 ? pveHosts[0] : null));
+    return host ? { backend: "proxmox", host: host.hostname } : null;
+  }
+  return null;
+}
+
+// { backend, host, retryAt } while the container's backend is treated as down, otherwise null
+function backendUnavailable(name) {
+  const api = backendApiOf(name);
+  if (!api) return null;
+
+  const { state, retryAt } = breakerFor(api.backend, api.host).status();
+  return state === "open" ? { ...api, retryAt } : null;
+}
+
+function getDriver(name) {
+  const backend = getBackendName(name);
+  const driver = drivers[backend];
+  if (!driver) {
+    const hint = backend === "command" ? ", set ENABLE_COMMAND_BACKEND=true to run its commands" : "";
+    log.warn(`<${name}> uses unknown backend "${backend}"${hint}`, { container: name }, { every: LOG_REPEAT_INTERVAL });
+  }
+  return driver || null;
+}
+
+//----------------------------------------------------------------
+// Combined Functions (all backends)
+//----------------------------------------------------------------
+// For status, idle and wake checks an unknown state counts as not running; starts and stops
+// ask the driver themselves, so an unreachable backend fails them instead
 async function isContainerRunning(name) {
-  return isLXCContainer(name) 
-    ? isContainerRunningLXC(name)
-    : isContainerRunningDocker(name);
+  const driver = getDriver(name);
+  if (!driver) return false;
+
+  try {
+    return await driver.isRunning(name, containers.find(c => c.name === name));
+  } catch (e) {
+    log.debug(`<${name}> state unknown: ${e.message}`, { container: name }, { every: LOG_REPEAT_INTERVAL });
+    return false;
+  }
 }
 
+// Docker and Proxmox names, as offered by the UI's container picker
 async function allContainers() {
   const results = new Set();
   
   const dockerContainers = await allContainersDocker();
   dockerContainers.forEach(c => results.add(c));
   
-  if (pveAuthHeader) {
-    const lxcContainers = await allContainersLXC();
-    lxcContainers.forEach(c => results.add(c));
+  if (pveHosts.length) {
+    const proxmoxGuests = await allContainersProxmox();
+    proxmoxGuests.forEach(c => results.add(c));
   }
 
   return Array.from(results);
 }
 
+async function allContainersByBackend() {
+  const entries = await Promise.all(Object.entries(drivers).map(async ([backend, driver]) => {
+    try {
+      return [backend, await driver.list()];
+    } catch {
+      return [backend, []];
+    }
+  }));
+  return Object.fromEntries(entries);
+}
+
+async function getStartTime(name) {
+  try {
+    return await getDriver(name)?.startedAt(name, containers.find(c => c.name === name)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function getHealthStatus(name) {
+  try {
+    return await getDriver(name)?.health(name, containers.find(c => c.name === name)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function getCpuUsage(name) {
+  try {
+    return await getDriver(name)?.cpu?.(name, containers.find(c => c.name === name)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
 async function checkStartTime(name, idleTimeout) {
-  return isLXCContainer(name)
-    ? checkStartTimeLXC(name, idleTimeout)
-    : checkStartTimeDocker(name, idleTimeout);
+  const now = Date.now();
+
+  try {
+    const startTime = await getDriver(name)?.startedAt(name, containers.find(c => c.name === name)) ?? null;
+    if (startTime === null) return false;
+
+    log.debug(`<${name}> checking start time (${idleTimeout}s timeout)`, { container: name }, { every: LOG_REPEAT_INTERVAL });
+    if (!(now - startTime > idleTimeout * 1000)) {
+      log.debug(`<${name}> will stop once timeout reaches from start time`, { container: name }, { every: LOG_REPEAT_INTERVAL });
+    }
+
+    return now - startTime > idleTimeout * 1000;
+  } catch (e) {
+    log.warn(`Error checking start time for ${name}: ${e.message}`, { container: name });
+    return false;
+  }
+}
+
+// Failed starts and stops by name, until the container reaches the state after all
+const containerErrors = new Map(); // name -> { action, message, attempts, time }
+const driverFailures = new Map(); // name -> message of the last failed driver call
+
+// Drivers report why a call failed, runAction() decides whether to retry and logs it
+function noteFailure(action, name, message) {
+  log.debug(message, { container: name });
+  driverFailures.set(name, message);
+}
+
+// An unknown state is not the wanted one; if it stays unknown, the reason is noted as the failure
+async function waitForState(driver, name, container, running, timeout) {
+  const deadline = Date.now() + timeout * 1000;
+  while (true) {
+    let unknown = null;
+    try {
+      if (await driver.isRunning(name, container) === running) return true;
+    } catch (e) {
+      unknown = e.message;
+    }
+    if (Date.now() >= deadline) {
+      if (unknown) driverFailures.set(name, `state unknown: ${unknown}`);
+      return false;
+    }
+    await new Promise(r => setTimeout(r, 1000));
+  }
+}
+
+// Runs a start or stop and checks that the backend shows the new state, retrying with backoff.
+// Returns false once every attempt failed, the error is kept in containerErrors.
+async function runAction(action, name) {
+  const driver = getDriver(name);
+  if (!driver) return false;
+
+  const container = containers.find(c => c.name === name);
+  const running = action === "start";
+  const verifiable = driver.verifiable ? driver.verifiable(name, container) : true;
+  let reason = null;
+
+  for (let attempt = 1; attempt <= ACTION_ATTEMPTS; attempt++) {
+    const unavailable = backendUnavailable(name);
+    if (unavailable) {
+      reason = `${unavailable.backend} is unavailable`;
+      break;
+    }
+
+    driverFailures.delete(name);
+    try {
+      await driver[action](name, container);
+    } catch (e) {
+      driverFailures.set(name, e.message);
+    }
+
+    const confirmed = !driverFailures.has(name)
+      && (!verifiable || await waitForState(driver, name, container, running, ACTION_VERIFY_TIMEOUT[action]));
+    if (confirmed) {
+      containerErrors.delete(name);
+      return true;
+    }
+
+    reason = driverFailures.get(name) || `still ${running ? "stopped" : "running"} after ${ACTION_VERIFY_TIMEOUT[action]}s`;
+    if (attempt < ACTION_ATTEMPTS) {
+      const delay = ACTION_RETRY_DELAY * 2 ** (attempt - 1);
+      log.warn(`<${name}> ${action} failed (${reason}), retrying in ${delay / 1000}s`, { container: name });
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+
+  const message = `<${name}> failed to ${action}: ${reason}`;
+  containerErrors.set(name, { action, message: reason, attempts: ACTION_ATTEMPTS, time: Date.now() });
+  reportError(message, { container: name }, `container.${action}_failed`);
+  return false;
 }
 
-async function startContainer(name) {
-  return isLXCContainer(name)
-    ? startContainerLXC(name)
-    : startContainerDocker(name);
+// cause says why, e.g. { reason: "schedule", schedule: "1" } or { reason: "ui", user: "admin" }
+async function startContainer(name, cause = {}) {
+  emitEvent("container.start", { container: name, ...cause });
+  return runAction("start", name);
 }
 
-async function stopContainer(name) {
-  return isLXCContainer(name)
-    ? stopContainerLXC(name)
-    : stopContainerDocker(name);
+async function stopContainer(name, cause = {}) {
+  emitEvent("container.stop", { container: name, ...cause });
+  return runAction("stop", name);
 }
 
 async function checkMultipleContainers(containerNames, maxConcurrent = 10) {
@@ -421,28 +1156,62 @@ function isContainerInGroup(name, groups) {
   );
 }
 
+function groupMembers(group) {
+  return Array.isArray(group.container) ? group.container : [group.container];
+}
+
+// Members no other active group has, or all of them when every member is shared
+function ownMembers(group) {
+  const members = groupMembers(group);
+  const own = members.filter(name => !groups.some(g => g !== group && g.active && g.container && groupMembers(g).includes(name)));
+  return own.length ? own : members;
+}
+
+// Active groups that need a container (as a member or a dependency of one) and are up, i.e. one
+// of their own members is running. A container shared by several groups stays up while any holds it.
+async function holdingGroups(name, except = null) {
+  const holding = [];
+  for (const g of groups) {
+    if (!g.active || !g.container || g.name === except) continue;
+    if (!dependencyOrder(groupMembers(g), containers).order.includes(name)) continue;
+
+    const running = await Promise.all(ownMembers(g).filter(n => n !== name).map(n => isContainerRunning(n)));
+    if (running.some(Boolean)) holding.push(g.name);
+  }
+  return holding;
+}
+
 //----------------------------------------------------------------
 // Container Lookup
 //----------------------------------------------------------------
+function getRequestHostname(req, preferHeader = false) {
+  return preferHeader ? req.headers.host : (req.hostname || req.headers.host);
+}
+
+// Uses the original URL so lookups still work after the path prefix was stripped
+function getRequestPath(req) {
+  return (req.originalUrl || req.url || "").split("?")[0];
+}
+
 function findContainerByRequest(req, preferHeader = false) {
-  const hostname = preferHeader ? req.headers.host : (req.hostname || req.headers.host);
-  
+  const hostname = getRequestHostname(req, preferHeader);
+
   // First try to find by hostname
   let container = containers.find(c => c.host === hostname);
   if (container) return container;
-  
+
   // If not found, try to find by path
-  const pathSegments = req.path?.split('/').filter(Boolean);
-  if (pathSegments && pathSegments.length > 0) {
+  const pathSegments = getRequestPath(req).split('/').filter(Boolean);
+  if (pathSegments.length > 0) {
     const firstPathSegment = pathSegments[0];
     container = containers.find(c => c.path === firstPathSegment);
     if (container) {
-      log(`<${container.name}> accessed via path prefix /${firstPathSegment}`);
+      log.debug(`<${container.name}> accessed via path prefix /${firstPathSegment}`, { container: container.name, requestId: req.id });
 
       return container;
     }
   }
-  log(`No container found for hostname: ${hostname}, path: ${req.path} - preferHeader: ${preferHeader}`);
+  log.debug(`No container found for hostname: ${hostname}, path: ${getRequestPath(req)} - preferHeader: ${preferHeader}`, { requestId: req.id });
 
   return null;
 }
@@ -455,6 +1224,18 @@ const proxy = httpProxy.createProxyServer({
   changeOrigin: false
 });
 
+// Open connections and bytes per container, so long downloads, streams and WebSocket sessions count as activity
+const traffic = createTrafficMonitor();
+
+function minThroughput(name) {
+  return containers.find(c => c.name === name)?.minThroughput || 0;
+}
+
+// Live connections count as activity; with minThroughput only the ones moving at least that many bytes/s
+setInterval(() => {
+  traffic.tick(minThroughput).forEach(name => recordActivity(name));
+}, TRAFFIC_SAMPLE_INTERVAL);
+
 proxy.on("proxyReq", (proxyReq, req) => {
   if (req.headers.upgrade) {
     proxyReq.setHeader("Connection", "Upgrade");
@@ -463,150 +1244,558 @@ proxy.on("proxyReq", (proxyReq, req) => {
 });
 
 proxy.on("error", (err, req, res) => {
-  log(`Proxy error: ${err.message}`);
+  log.debug(`Proxy error: ${err.message}`, { requestId: req.id });
   const container = findContainerByRequest(req);
+  metrics.proxyErrors.inc({ container: container?.name || "", code: err.code || "unknown" });
   
   if (container) {
     const startedAt = recentlyStarted.get(container.name);
     if ((err.code === 'ECONNREFUSED' || err.code === 'EAI_AGAIN') && 
         startedAt && Date.now() - startedAt < 15000) {
     } else {
-      log(`<${container.name}> proxy error: ${err.code || err.message}`);
+      reportError(`<${container.name}> proxy error: ${err.code || err.message}`, { container: container.name, code: err.code || null });
     }
   }
 
   if (res?.writeHead && !res.headersSent) {
-    res.status(502).sendFile(WAITING_PAGE);
+    res.status(502).type('text/html').send(renderWaitingPage(container, req.originalUrl || req.url));
   }
 });
 
 proxy.on('proxyRes', (proxyRes, req) => {
-  log(`<${findContainerByRequest(req)?.name}> proxy response: ${proxyRes.statusCode}`);
   const container = findContainerByRequest(req);
+  log.debug(`<${container?.name}> proxy response: ${proxyRes.statusCode}`, { container: container?.name, requestId: req.id });
   if (!container) return;
 
-  lastActivity[container.name] = Date.now();
-  const now = Date.now();
-  
-  if (!lastLog[container.name] || now - lastLog[container.name] > 5000) {
-    log(`<${container.name}> accessed, timeout reset`);
-    lastLog[container.name] = now;
-  }
+  metrics.proxyRequests.inc({ container: container.name, code: proxyRes.statusCode });
+  recordActivity(container.name);
+  log.debug(`<${container.name}> accessed, timeout reset`, { container: container.name }, { every: 5000 });
 });
 
 //----------------------------------------------------------------
-// Express App Setup
+// Request forwarding
 //----------------------------------------------------------------
-const app = express();
+// Values end up inside JS string literals, so quotes and markup are escaped
+function escapeForScript(value) {
+  return String(value).replace(/[\\'"<>&]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
 
-// API Routes
-app.use("/api/containers", express.json(), containerRoutes);
-app.use("/api/groups", express.json(), groupRoutes);
-app.use("/api/schedules", express.json(), scheduleRoutes);
+// error is shown instead of the loader, the page then reloads after retryAfter seconds
+function renderWaitingPage(container, redirectUrl, { error = '', retryAfter = 0 } = {}) {
+  return fs.readFileSync(WAITING_PAGE, 'utf8')
+           .replace('{{REDIRECT_URL}}', () => escapeForScript(redirectUrl))
+           .replace('{{CONTAINER_NAME}}', () => escapeForScript(container?.name || ''))
+           .replace('{{ERROR_MESSAGE}}', () => escapeForScript(error))
+           .replace('{{RETRY_AFTER}}', () => String(retryAfter));
+}
 
-// Expose control functions
-app.locals.startContainer = startContainer;
-app.locals.stopContainer = stopContainer;
-app.locals.isContainerRunning = isContainerRunning;
-app.locals.lastActivity = lastActivity;
+// Seconds until a down backend gets its next trial request
+function retryAfterOf(unavailable) {
+  return Math.max(1, Math.ceil((unavailable.retryAt - Date.now()) / 1000));
+}
 
-// Check if container is ready
-app.get("/api/containers/:name/ready", async (req, res) => {
-  const container = containers.find(c => c.name === req.params.name);
-  if (!container) return res.status(404).json({ ready: false });
-  
-  if (!(await isContainerRunning(container.name))) {
-    return res.json({ ready: false });
+// Removes the /<path> prefix from containers matched by path instead of hostname
+function stripPathPrefix(req, container, preferHeader = false) {
+  if (!container.path || container.host === getRequestHostname(req, preferHeader)) return null;
+
+  const prefix = `/${container.path}`;
+  if (req.url !== prefix && !req.url.startsWith(`${prefix}/`) && !req.url.startsWith(`${prefix}?`)) {
+    return null;
   }
-  
-  // Verify container is actually responding with 200
+
+  const rest = req.url.slice(prefix.length);
+  req.url = rest.startsWith('/') ? rest : `/${rest}`;
+  return prefix;
+}
+
+function forwardRequest(req, res, container) {
+  const prefix = stripPathPrefix(req, container);
+  res.on('close', traffic.track(container.name, req.socket));
+
+  proxy.web(req, res, {
+    target: container.url,
+    xfwd: true,
+    ...(prefix ? { headers: { 'X-Forwarded-Prefix': prefix } } : {})
+  });
+}
+
+function forwardUpgrade(req, socket, head, container) {
+  const prefix = stripPathPrefix(req, container, true);
+  socket.on('close', traffic.track(container.name, socket));
+
+  proxy.ws(req, socket, head, {
+    target: container.url,
+    ws: true,
+    changeOrigin: false,
+    xfwd: true,
+    ...(prefix ? { headers: { 'X-Forwarded-Prefix': prefix } } : {})
+  });
+}
+
+//----------------------------------------------------------------
+// Readiness probes
+//----------------------------------------------------------------
+// Accepts [200, "300-399"] or "200-299,401"
+function statusMatches(statusCode, accepted = [200]) {
+  const entries = Array.isArray(accepted) ? accepted : String(accepted).split(',');
+
+  return entries.some(entry => {
+    const [min, max = min] = String(entry).trim().split('-').map(Number);
+    return statusCode >= min && statusCode <= max;
+  });
+}
+
+async function probeHttp(container, readiness) {
+  const probePath = readiness.path || '/';
+  const url = `${container.url.replace(/\/$/, '')}${probePath.startsWith('/') ? '' : '/'}${probePath}`;
+
   try {
-    const response = await fetch(`${container.url}/`, { 
+    const response = await fetch(url, {
       method: 'GET',
-      timeout: 5000
+      redirect: readiness.followRedirects === false ? 'manual' : 'follow',
+      signal: AbortSignal.timeout((readiness.timeout || 5) * 1000)
     });
-    res.json({ ready: response.status === 200 });
-  } catch (e) {
-    res.json({ ready: false });
+    if (!statusMatches(response.status, readiness.status)) return false;
+    if (readiness.body) return (await response.text()).includes(readiness.body);
+    return true;
+  } catch {
+    return false;
   }
-});
+}
+
+function probeTcp(container, readiness) {
+  let host, port;
+  try {
+    const url = new URL(container.url);
+    host = url.hostname;
+    port = Number(readiness.port || url.port || (url.protocol === 'https:' ? 443 : 80));
+  } catch {
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout((readiness.timeout || 5) * 1000);
+    socket.once('connect', () => { socket.destroy(); resolve(true); });
+    socket.once('timeout', () => { socket.destroy(); resolve(false); });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+// Workloads without a health check (HEALTHCHECK, ...) count as ready once running
+async function probeHealth(container) {
+  const health = await getHealthStatus(container.name);
+  return health === null || health === 'healthy';
+}
 
 //----------------------------------------------------------------
-// Main proxy middleware
+// Busy probes
 //----------------------------------------------------------------
-app.use(async (req, res, next) => {
-  const container = findContainerByRequest(req);
-  if (!container) {
-    log(`No container matched for request: ${req.hostname || req.headers.host}${req.path}`);
-    return res.status(404).send("Container not found");
+// Work that doesn't go through the proxy (seeding, transcoding) can keep a container up. Probes
+// only run once the idle timeout is reached; a busy container gets its idle timer reset.
+async function probeCpuBusy(container, probe) {
+  const cpu = await getCpuUsage(container.name);
+  const threshold = probe.threshold ?? DEFAULT_BUSY_CPU;
+  return cpu !== null && cpu >= threshold ? `CPU at ${Math.round(cpu)}%` : null;
+}
+
+// The endpoint answers {"busy": true} or a text containing busy=true
+async function probeHttpBusy(probe) {
+  try {
+    const response = await fetch(probe.url, { signal: AbortSignal.timeout((probe.timeout || 5) * 1000) });
+    const text = await response.text();
+
+    let busy;
+    try {
+      busy = JSON.parse(text)?.busy === true;
+    } catch {
+      busy = /\bbusy=true\b/i.test(text);
+    }
+    return busy ? `${probe.url} reports busy` : null;
+  } catch {
+    return null;
   }
+}
 
-  log(`<${container.name}> accessed`);
-  lastActivity[container.name] = Date.now();
+async function isBusy(container) {
+  const probe = container?.busyProbe;
+  if (!probe) return false;
 
-  // Find active group containing this container
-  const group = groups.find(g =>
-    g.active &&
-    g.container &&
-    (Array.isArray(g.container)
-      ? g.container.includes(container.name)
-      : g.container === container.name)
-  );
+  const reason = probe.type === "cpu" ? await probeCpuBusy(container, probe) : await probeHttpBusy(probe);
+  if (!reason) return false;
 
-  const redirectUrl = `https://${container.path}.${container.host}`;
-  const waitingPageContent = fs.readFileSync(WAITING_PAGE, 'utf8')
-                               .replace('{{REDIRECT_URL}}', redirectUrl)
-                               .replace('{{CONTAINER_NAME}}', container.name);
+  log(`<${container.name}> is busy (${reason}), idle timeout reset`, { container: container.name }, { every: LOG_REPEAT_INTERVAL });
+  recordActivity(container.name);
+  return true;
+}
 
-  // If container is running, redirect request
-  if (await isContainerRunning(container.name)) {
-    log(`<${container.name}> is running, redirecting to container at ${redirectUrl}`);
+//----------------------------------------------------------------
+// Cold start handling
+//----------------------------------------------------------------
+async function isContainerReady(container) {
+  if (!(await isContainerRunning(container.name))) return false;
+
+  const readiness = container.readiness || {};
+
+  // Grace delay counted from the container's start time
+  if (readiness.delay) {
+    const startedAt = await getStartTime(container.name);
+    if (!startedAt || Date.now() - startedAt < readiness.delay * 1000) return false;
+  }
 
-    res.type('text/html').send(waitingPageContent);
-    return;    
+  let ready;
+  switch (readiness.type || "http") {
+    case "tcp":
+      ready = await probeTcp(container, readiness);
+      break;
+    case "docker":
+      ready = await probeHealth(container);
+      break;
+    default:
+      ready = await probeHttp(container, readiness);
   }
 
-  log(`<${container.name}> is not running, sending waiting page`);
-  // Send waiting page and start container
-  res.type('text/html').send(waitingPageContent);
+  return ready;
+}
+
+// Polls readiness while someone is waiting on the event stream, then emits container.ready
+const readinessWatchers = new Map(); // name -> number of waiting subscribers
 
-  if (container.active) {
-    if (await isContainerRunning(container.name) || recentlyStarted.has(container.name)) return;
+function watchReadiness(name) {
+  const container = containers.find(c => c.name === name);
+  if (!container) return () => {};
 
-    recentlyStarted.set(container.name, Date.now());
-    setTimeout(() => recentlyStarted.delete(container.name), 30000);
+  const watchers = (readinessWatchers.get(name) || 0) + 1;
+  readinessWatchers.set(name, watchers);
+  if (watchers === 1) pollReadiness(container);
+
+  return () => {
+    if (!readinessWatchers.has(name)) return;
+    const remaining = readinessWatchers.get(name) - 1;
+    if (remaining > 0) readinessWatchers.set(name, remaining);
+    else readinessWatchers.delete(name);
+  };
+}
+
+async function pollReadiness(container) {
+  while (readinessWatchers.has(container.name)) {
+    if (await isContainerReady(container)) {
+      readinessWatchers.delete(container.name);
+      emitEvent("container.ready", { container: container.name });
+      return;
+    }
+    await new Promise(r => setTimeout(r, HOLD_CHECK_INTERVAL));
+  }
+}
+
+async function waitUntilReady(container, timeout) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeout) {
+    if (await isContainerReady(container)) return true;
+    await new Promise(r => setTimeout(r, HOLD_CHECK_INTERVAL));
+  }
+  return false;
+}
+
+// Starts containers after their dependencies (dependsOn). A container others depend on has to
+// pass its readiness check first; if it doesn't, its dependents are not started.
+async function startInOrder(names, cause = {}) {
+  const { order, missing, cycle } = dependencyOrder(names, containers);
+  if (cycle) log.warn(`Dependency cycle ${formatCycle(cycle)}, ignoring its last dependency`);
+  missing.forEach(name => log.warn(`<${name}> is a dependency but not a known container, skipping`, { container: name }));
+
+  const needed = new Set(order.flatMap(name => containers.find(c => c.name === name).dependsOn || []));
+  const failed = new Set();
+
+  for (const name of order) {
+    const container = containers.find(c => c.name === name);
+    const failedDependency = (container.dependsOn || []).find(dep => failed.has(dep));
+    if (failedDependency) {
+      reportError(`<${name}> not started, dependency <${failedDependency}> is not ready`, { container: name }, "container.start_failed");
+      failed.add(name);
+      continue;
+    }
+    if (!container.active) {
+      log(`<${name}> is not active, skipping`, { container: name });
+      continue;
+    }
+
+    if (!(await isContainerRunning(name)) && !(await startContainer(name, cause))) {
+      failed.add(name);
+      continue;
+    }
+
+    if (needed.has(name) && !(await waitUntilReady(container, DEPENDENCY_READY_TIMEOUT * 1000))) {
+      reportError(`<${name}> not ready after ${DEPENDENCY_READY_TIMEOUT}s`, { container: name }, "container.start_failed");
+      failed.add(name);
+    }
+  }
+}
 
+// Stops dependents before the containers they depend on. Stopping a group leaves running
+// the members and dependencies another group still holds.
+async function stopInOrder(names, group = null, cause = {}) {
+  for (const name of stopOrder(names, containers)) {
     if (group) {
-      const names = Array.isArray(group.container) ? group.container : [group.container];
-      
-      for (const name of names) {
-        const containerInGroup = containers.find(c => c.name === name);
-        if (!containerInGroup?.active) {
-          log(`<${name}> in group <${group.name}> is not active, skipping`);
-          continue;
-        }
-        if (!(await isContainerRunning(name))) {
-          await startContainer(name);
-        }
+      const heldBy = await holdingGroups(name, group.name);
+      if (heldBy.length) {
+        log(`<${name}> left running, still needed by group <${heldBy.join(">, <")}>`, { container: name, group: group.name });
+        continue;
       }
-      log(`<${container.name}> was accessed, starting group <${group.name}>`);
+    }
+    await stopContainer(name, cause);
+  }
+}
+
+// Starts the container, or every active group it belongs to, dependencies first
+async function wakeContainer(container) {
+  if (!container.active) return;
+  if (await isContainerRunning(container.name) || recentlyStarted.has(container.name)) return;
+
+  recentlyStarted.set(container.name, Date.now());
+
+  const memberOf = groups.filter(g => g.active && g.container && groupMembers(g).includes(container.name));
+
+  try {
+    if (memberOf.length) {
+      log(`<${container.name}> was accessed, starting group <${memberOf.map(g => g.name).join(">, <")}>`, {
+        container: container.name,
+        group: memberOf.map(g => g.name).join(",")
+      });
+      await startInOrder(Array.from(new Set(memberOf.flatMap(groupMembers))), {
+        reason: "request",
+        requested: container.name,
+        groups: memberOf.map(g => g.name)
+      });
     } else {
-      await startContainer(container.name);
+      await startInOrder([container.name], { reason: "request", requested: container.name });
+    }
+  } finally {
+    // Waiting on dependencies can take a while, the guard lasts until 30s after the start is done
+    setTimeout(() => recentlyStarted.delete(container.name), 30000);
+  }
+}
+
+function shouldHoldRequest(req, container) {
+  return container.holdRequests === true || !(req.headers.accept || '').includes('text/html');
+}
+
+async function holdRequest(req, res, container) {
+  const maxHoldTime = (container.maxHoldTime || DEFAULT_MAX_HOLD_TIME) * 1000;
+  const heldAt = Date.now();
+  let clientGone = false;
+  res.on('close', () => clientGone = true);
+
+  if (!container.active) {
+    log(`<${container.name}> is not active, rejecting held request`, { container: container.name, requestId: req.id });
+    return res.status(503).set('Retry-After', String(HOLD_RETRY_AFTER)).send("Container not available");
+  }
+
+  log(`<${container.name}> is not running, holding request until ready`, { container: container.name, requestId: req.id });
+  wakeContainer(container).catch(e => reportError(`<${container.name}> failed to start: ${e.message}`, { container: container.name }, "container.start_failed"));
+
+  while (Date.now() - heldAt < maxHoldTime) {
+    await new Promise(r => setTimeout(r, HOLD_CHECK_INTERVAL));
+    if (clientGone) return;
+
+    // Every start attempt failed, no use holding on
+    const error = containerErrors.get(container.name);
+    if (error?.action === "start" && error.time >= heldAt) {
+      log.warn(`<${container.name}> failed to start, releasing held request`, { container: container.name, requestId: req.id });
+      return res.status(503).set('Retry-After', String(HOLD_RETRY_AFTER)).send("Container failed to start");
     }
+
+    if (await isContainerReady(container)) {
+      log(`<${container.name}> ready after ${Math.round((Date.now() - heldAt) / 1000)}s, replaying held request`, { container: container.name, requestId: req.id });
+      recordActivity(container.name);
+      forwardRequest(req, res, container);
+      return;
+    }
+  }
+
+  log.warn(`<${container.name}> not ready after ${maxHoldTime / 1000}s, releasing held request`, { container: container.name, requestId: req.id });
+  res.status(503).set('Retry-After', String(HOLD_RETRY_AFTER)).send("Container is starting, retry later");
+}
+
+//----------------------------------------------------------------
+// Express App Setup
+//----------------------------------------------------------------
+// Expose control functions to the routers
+function exposeControls(target) {
+  target.locals.startContainer = startContainer;
+  target.locals.stopContainer = stopContainer;
+  target.locals.isContainerRunning = isContainerRunning;
+  target.locals.lastActivity = lastActivity;
+  target.locals.recordActivity = recordActivity;
+  target.locals.allContainers = allContainers;
+  target.locals.allContainersByBackend = allContainersByBackend;
+  target.locals.backends = () => Object.keys(drivers);
+  target.locals.testPveCredentials = testPveCredentials;
+  target.locals.events = events;
+  target.locals.watchReadiness = watchReadiness;
+  target.locals.auth = auth;
+  target.locals.applyAuthConfig = (next) => { authConfig = next || {}; };
+  target.locals.configHistory = configHistory;
+  target.locals.eventLog = eventLog;
+  target.locals.notifier = notifier;
+  target.locals.containerErrors = containerErrors;
+  target.locals.backendUnavailable = backendUnavailable;
+  target.locals.labelContainers = () => containers.filter(c => c.source === "labels");
+  target.locals.labelGroups = () => groups.filter(g => g.source === "labels");
+  target.locals.scheduleHolds = scheduleHolds;
+  target.locals.holdingGroups = holdingGroups;
+  target.locals.traffic = traffic;
+}
+
+const app = express();
+exposeControls(app);
+
+// Check if container is ready (used by the waiting page, always public)
+app.get("/api/containers/:name/ready", async (req, res) => {
+  const container = containers.find(c => c.name === req.params.name);
+  if (!container) return res.status(404).json({ ready: false });
+
+  res.json({
+    ready: await isContainerReady(container),
+    failed: containerErrors.get(container.name)?.action === "start",
+    unavailable: backendUnavailable(container.name)
+  });
+});
+
+// Per-container event streams are public for the waiting page, the full stream needs the management API
+app.use("/api/events", (req, res, next) => {
+  if (req.query.container && req.path === "/") {
+    res.locals.publicEvents = true;
+    return eventRoutes(req, res, next);
+  }
+  if (EXPOSE_API_ON_PROXY) return auth.protect(req, res, () => eventRoutes(req, res, next));
+  next();
+});
+
+// Management API, only on the proxy port when explicitly allowed
+if (EXPOSE_API_ON_PROXY) {
+  app.use("/api/containers", express.json(), auth.protect, containerRoutes);
+  app.use("/api/groups", express.json(), auth.protect, groupRoutes);
+  app.use("/api/schedules", express.json(), auth.protect, scheduleRoutes);
+  app.use("/api/config", express.json(), auth.protect, configRoutes);
+  // Not /metrics, which belongs to the proxied apps on this port
+  app.get("/api/metrics", auth.protect, sendMetrics);
+  log("Management API exposed on the proxy port");
+}
+
+//----------------------------------------------------------------
+// Main proxy middleware
+//----------------------------------------------------------------
+app.use(async (req, res, next) => {
+  // Passed on to the container, so its logs can be matched with these
+  req.id = req.headers["x-request-id"] || randomUUID();
+  req.headers["x-request-id"] = req.id;
+
+  const container = findContainerByRequest(req);
+  if (!container) {
+    log.debug(`No container matched for request: ${req.hostname || req.headers.host}${req.path}`, { requestId: req.id });
+    return res.status(404).send("Container not found");
+  }
+
+  log.debug(`<${container.name}> accessed`, { container: container.name, requestId: req.id });
+  recordActivity(container.name);
+
+  // If container is running, proxy the request straight through
+  if (await isContainerRunning(container.name)) {
+    forwardRequest(req, res, container);
+    return;
+  }
+
+  // A keep-stopped window means requests don't wake the container, starting it explicitly still works
+  const hold = scheduleHolds.get(container.name);
+  if (hold?.mode === "keepStopped") {
+    const retryAfter = hold.until ? Math.max(1, Math.ceil((hold.until - Date.now()) / 1000)) : HOLD_RETRY_AFTER;
+    return res.status(503).set('Retry-After', String(retryAfter)).send("Container is kept stopped by a schedule");
+  }
+
+  // A backend that is down isn't asked to start anything, the client is told when to come back
+  const unavailable = backendUnavailable(container.name);
+  if (unavailable) {
+    const retryAfter = retryAfterOf(unavailable);
+    res.status(503).set('Retry-After', String(retryAfter));
+    if (shouldHoldRequest(req, container)) return res.send(`Backend ${unavailable.backend} is unavailable`);
+    return res.type('text/html').send(renderWaitingPage(container, req.originalUrl, {
+      error: `The ${unavailable.backend} backend is unavailable, retrying in ${retryAfter}s`,
+      retryAfter
+    }));
+  }
+
+  if (container.active) beginColdStart(container);
+
+  // Non-browser clients are held until the container is ready, then replayed
+  if (shouldHoldRequest(req, container)) {
+    await holdRequest(req, res, container);
+    return;
   }
+
+  log(`<${container.name}> is not running, sending waiting page`, { container: container.name, requestId: req.id });
+  // Send waiting page (reloads the original URL once ready) and start container
+  res.type('text/html').send(renderWaitingPage(container, req.originalUrl));
+
+  await wakeContainer(container);
 });
 
 //----------------------------------------------------------------
 // Timeout handling interval
 //----------------------------------------------------------------
+// Idle stops run on their own: one that keeps failing (retries, verify timeouts) must not hold up
+// the next checks or the other containers. stoppingContainers keeps a second stop from starting.
+async function idleStop(name, group = null) {
+  stoppingContainers.add(name);
+  try {
+    const stopped = await stopContainer(name, { reason: "idle timeout", ...(group ? { group: group.name } : {}) });
+    if (stopped) metrics.idleStops.inc({ container: name });
+    return stopped;
+  } finally {
+    stoppingContainers.delete(name);
+  }
+}
+
+// Members one after the other, dependents first
+async function stopIdleGroup(g, containerStatus) {
+  const stopped = [];
+  for (const name of stopOrder(groupMembers(g), containers)) {
+    const container = containers.find(c => c.name === name);
+    if (!containerStatus[name] || !container?.active || stoppingContainers.has(name)) continue;
+
+    const heldBy = await holdingGroups(name, g.name);
+    if (heldBy.length) {
+      log(`<${name}> left running, still needed by group <${heldBy.join(">, <")}>`, { container: name, group: g.name });
+      continue;
+    }
+    if (await idleStop(name, g)) {
+      log(`<${name}> stopped as part of group <${g.name}>`, { container: name, group: g.name });
+      stopped.push(name);
+    }
+  }
+  if (stopped.length) emitEvent("group.idle_stop", { group: g.name, idleTimeout: g.idleTimeout, containers: stopped });
+}
+
+let timeoutCheckRunning = false;
+
 setInterval(async () => {
+  if (timeoutCheckRunning) return;
+  timeoutCheckRunning = true;
+
   try {
     const now = Date.now();
     const containerStatus = await checkMultipleContainers(containers.map(c => c.name));
-    
+    Object.entries(containerStatus).forEach(([name, running]) => reportContainerState(name, running));
+    metrics.containerRunning.retain(({ container }) => container in containerStatus);
+    groups.forEach(g => {
+      const names = Array.isArray(g.container) ? g.container : [g.container];
+      reportGroupState(g.name, names.filter(n => containerStatus[n]).length, names.length);
+    });
+
     // Individual container timeout
     for (const c of containers) {
       if (!c.active || !c.idleTimeout || isContainerInGroup(c.name, groups)) continue;
+      if (scheduleHolds.get(c.name)?.mode === "keepRunning") continue;
       
       const isRunning = containerStatus[c.name];
       const timeoutReached = now - lastActivity[c.name] > (c.idleTimeout || 60) * 1000;
@@ -615,13 +1804,14 @@ setInterval(async () => {
       if (isRunning && timeoutReached && 
           (await checkStartTime(c.name, c.idleTimeout)) &&
           activationTimeOk &&
-          !stoppingContainers.has(c.name)) {
+          !stoppingContainers.has(c.name) &&
+          !traffic.isBusy(c.name, minThroughput(c.name)) &&
+          // Dependencies of a group that is up stay running
+          !(await holdingGroups(c.name)).length &&
+          !(await isBusy(c))) {
         
-        log(`<${c.name}> ${c.idleTimeout || 60}s timeout reached`);
-        stoppingContainers.add(c.name);
-        await stopContainer(c.name);
-        stoppingContainers.delete(c.name);
-        logOnce[c.name] = false;
+        log(`<${c.name}> ${c.idleTimeout || 60}s timeout reached`, { container: c.name });
+        idleStop(c.name).catch(e => log.error(`<${c.name}> idle stop failed: ${e.message}`, { container: c.name }));
       }
     }
     
@@ -630,89 +1820,208 @@ setInterval(async () => {
       if (!g.active || !g.idleTimeout || !g.container) continue;
 
       const groupContainers = Array.isArray(g.container) ? g.container : [g.container];
+      if (groupContainers.some(name => scheduleHolds.get(name)?.mode === "keepRunning")) continue;
+
       const containerChecks = await Promise.all(groupContainers.map(async (name) => {
         const isRunning = containerStatus[name];
         const container = containers.find(c => c.name === name);
         return isRunning && 
               container?.active &&
               now - lastActivity[name] > (g.idleTimeout || 60) * 1000 &&
+              !traffic.isBusy(name, minThroughput(name)) &&
               (await checkStartTime(name, g.idleTimeout));
       }));
 
-      const shouldStopGroup = containerChecks.every(check => check === true);
+      // A busy member keeps the whole group up
+      const shouldStopGroup = containerChecks.every(check => check === true) &&
+        !(await Promise.all(groupContainers.map(name => isBusy(containers.find(c => c.name === name))))).some(Boolean);
       
-      if (shouldStopGroup) {
-        for (const name of groupContainers) {
-          const container = containers.find(c => c.name === name);
-          if (containerStatus[name] && container?.active && !stoppingContainers.has(name)) {
-            stoppingContainers.add(name);
-            await stopContainer(name);
-            stoppingContainers.delete(name);
-            log(`<${name}> stopped as part of group <${g.name}>`);
-          }
-        }
+      if (shouldStopGroup && !stoppingContainers.has(g.name)) {
+        stoppingContainers.add(g.name);
+        stopIdleGroup(g, containerStatus)
+          .catch(e => log.error(`Group <${g.name}> idle stop failed: ${e.message}`, { group: g.name }))
+          .finally(() => stoppingContainers.delete(g.name));
       }
     }
   } catch (error) {
-    log(`Error in timeout interval: ${error.message}`);
+    log.error(`Error in timeout interval: ${error.message}`);
+  } finally {
+    timeoutCheckRunning = false;
   }
 }, 10000);
 
 //----------------------------------------------------------------
-// Schedule handling interval
+// Schedule handling
 //----------------------------------------------------------------
-setInterval(() => {
-  const now = new Date();
-  const day = now.getDay();
-  const time = now.toTimeString().slice(0, 5);
+// Each tick fires every run that fell between the previous tick and now, so no minute is missed or repeated
+let scheduleCheckedAt = Date.now();
+let scheduleTicks = 0;
+
+function findScheduleTarget(s) {
+  return s.targetType === "container"
+    ? containers.find(c => c.name === s.target)
+    : groups.find(g => g.name === s.target);
+}
+
+function runScheduleAction(s, target, action, note = "") {
+  const names = s.targetType === "container" ? [s.target] : target.container;
+  const failed = (e) => reportError(`<${s.target}> scheduled ${action} failed: ${e.message}`, { target: s.target, schedule: s.id });
+  const cause = { reason: "schedule", schedule: s.id, ...(s.targetType === "group" ? { group: s.target } : {}) };
+
+  if (action === "start") {
+    startInOrder(names, cause).catch(failed);
+  } else {
+    if (stoppingContainers.has(s.target)) return;
+    stoppingContainers.add(s.target);
+    stopInOrder(names, s.targetType === "group" ? target : null, cause).catch(failed).finally(() => stoppingContainers.delete(s.target));
+  }
+
+  log(`<${s.target}> scheduled ${action} executed${note}`, { [s.targetType]: s.target, event: "schedule.fired", schedule: s.id });
+  metrics.scheduledActions.inc({ target: s.target, target_type: s.targetType, action });
+  emitEvent("schedule.fired", { schedule: s.id, target: s.target, targetType: s.targetType, action });
+}
+
+// Open keep windows by container, a group's window holds every member and the latest window wins
+function updateScheduleHolds(now = Date.now()) {
+  const next = new Map();
 
   schedules.forEach(s => {
-    const target = s.targetType === "container"
-      ? containers.find(c => c.name === s.target)
-      : groups.find(g => g.name === s.target);
+    const target = findScheduleTarget(s);
+    if (!target?.active) return;
+
+    try {
+      const names = s.targetType === "container" ? [s.target] : target.container;
+      activeWindows(s, now).forEach(w => names.forEach(name => {
+        if (next.get(name)?.since >= w.since) return;
+        next.set(name, { mode: w.mode, schedule: s.id, target: s.target, targetType: s.targetType, timer: w.timer, since: w.since, until: w.until });
+      }));
+    } catch (e) {
+      log.error(`<${s.target}> schedule ${s.id} failed: ${e.message}`, { [s.targetType]: s.target, schedule: s.id });
+    }
+  });
 
-    if (!target?.active || !s.timers?.length) return;
+  new Set([...scheduleHolds.keys(), ...next.keys()]).forEach(name => {
+    const hold = next.get(name) || null;
+    if (JSON.stringify(scheduleHolds.get(name) || null) === JSON.stringify(hold)) return;
 
-    s.timers.forEach(timer => {
-      if (!timer.active || !timer.days.includes(day)) return;
+    if (hold) {
+      const until = hold.until ? ` until ${new Date(hold.until).toISOString()}` : "";
+      log(`<${name}> kept ${hold.mode === "keepRunning" ? "running" : "stopped"} by schedule ${hold.schedule}${until}`, { container: name, event: "schedule.hold" });
+      scheduleHolds.set(name, hold);
+    } else {
+      log(`<${name}> no longer held by a schedule`, { container: name, event: "schedule.hold" });
+      scheduleHolds.delete(name);
+    }
+    emitEvent("schedule.hold", { container: name, hold });
+  });
+}
 
-      if (timer.startTime === time) {
-        if (s.targetType === "container") startContainer(s.target);
-        else target.container.forEach(n => startContainer(n));
-        log(`<${s.target}> scheduled start executed`);
-      }
+function saveSchedulerState() {
+  try {
+    writeJsonAtomic(SCHEDULER_STATE_PATH, { checkedAt: scheduleCheckedAt });
+  } catch (e) {
+    log.warn(`Failed to save scheduler state: ${e.message}`);
+  }
+}
 
-      if (timer.stopTime === time && !stoppingContainers.has(s.target)) {
-        stoppingContainers.add(s.target);
-        if (s.targetType === "container") stopContainer(s.target);
-        else target.container.forEach(n => stopContainer(n));
-        stoppingContainers.delete(s.target);
-        log(`<${s.target}> scheduled stop executed`);
-      }
-    });
+// Runs missed while Spinnerr was stopped, handled by each schedule's missedRuns policy
+function handleMissedRuns() {
+  let state = null;
+  try {
+    state = JSON.parse(fs.readFileSync(SCHEDULER_STATE_PATH, "utf-8"));
+  } catch {
+    return;
+  }
+  if (!state?.checkedAt) return;
+
+  const from = Math.max(state.checkedAt, scheduleCheckedAt - MAX_CATCHUP_AGE);
+  schedules.forEach(s => {
+    const target = findScheduleTarget(s);
+    if (!target?.active) return;
+
+    const plan = missedRunPlan(s, from, scheduleCheckedAt);
+    if (!plan) return;
+
+    if (plan.run) {
+      runScheduleAction(s, target, plan.run.action, ` (catching up on the run of ${new Date(plan.run.time).toISOString()})`);
+    } else {
+      log.warn(`<${s.target}> skipped ${plan.missed} scheduled run(s) missed while Spinnerr was stopped`);
+    }
+  });
+}
+
+updateScheduleHolds();
+
+setTimeout(() => {
+  handleMissedRuns();
+  saveSchedulerState();
+}, SCHEDULE_CATCHUP_DELAY);
+
+setInterval(() => {
+  const now = Date.now();
+  let fired = 0;
+
+  schedules.forEach(s => {
+    const target = findScheduleTarget(s);
+    if (!target?.active) return;
+
+    try {
+      dueRuns(s, scheduleCheckedAt, now).forEach(run => {
+        runScheduleAction(s, target, run.action);
+        fired++;
+      });
+    } catch (e) {
+      log.error(`<${s.target}> schedule ${s.id} failed: ${e.message}`, { [s.targetType]: s.target, schedule: s.id });
+    }
   });
-}, 59000);
+
+  scheduleCheckedAt = now;
+  updateScheduleHolds(now);
+  // Saved right after a run fired, so a restart can't take it for a missed run and run it again
+  if (++scheduleTicks % 4 === 0 || fired > 0) saveSchedulerState();
+}, SCHEDULE_TICK);
 
 //----------------------------------------------------------------
 // Configuration reload
 //----------------------------------------------------------------
+// An invalid file (e.g. a broken hand edit) is logged and the last valid config stays in use
 function reloadConfig() {
   try {
-    const newConfig = JSON.parse(fs.readFileSync(CONFIG_PATH));
-    
+    const newConfig = normalizeConfig(JSON.parse(fs.readFileSync(CONFIG_PATH)));
+
+    const errors = validateConfig(newConfig);
+    if (errors.length) {
+      logConfigErrors("Invalid config.json, keeping the last valid config:", errors);
+      metrics.configReloads.inc({ result: "invalid" });
+      emitEvent("config.reload", { ok: false, error: "Invalid configuration", errors });
+      return;
+    }
+
     newConfig.containers.forEach(c => {
       if (lastActivity[c.name] === undefined) {
         lastActivity[c.name] = Date.now();
       }
     });
 
-    groups = newConfig.groups;
-    containers = newConfig.containers;
-    schedules = newConfig.schedules;
-    apiKeys = newConfig.apiKeys;
-    log("Config reloaded, containers updated");
+    // Writes from the API are already recorded, anything else is a hand edit
+    const revision = configHistory.record(newConfig, { source: "file" });
+    if (revision) log(`config.json changed on disk, recorded as revision ${revision.rev}`);
+
+    configGroups = newConfig.groups || [];
+    configContainers = newConfig.containers;
+    rebuildEntries();
+    schedules = newConfig.schedules || [];
+    updateScheduleHolds();
+    notificationTargets = newConfig.notifications || [];
+    authConfig = newConfig.auth || {};
+    reloadPveHosts(newConfig.apiKeys?.pve);
+    log("Config reloaded, containers updated", { event: "config.reload" });
+    metrics.configReloads.inc({ result: "success" });
+    emitEvent("config.reload", { ok: true });
   } catch (e) {
-    log(`Failed to reload config: ${e.message}`);
+    log.error(`Failed to reload config, keeping the last valid config: ${e.message}`, { event: "config.reload" });
+    metrics.configReloads.inc({ result: "error" });
+    emitEvent("config.reload", { ok: false, error: e.message });
   }
 }
 
@@ -723,18 +2032,31 @@ fs.watchFile(CONFIG_PATH, { interval: 500 }, reloadConfig);
 //----------------------------------------------------------------
 if (UI_PORT) {
   const ui = express();
+  exposeControls(ui);
   ui.use(express.json());
+
+  // Login and session endpoints, everything else under /api needs a user or token
+  ui.use("/api/auth", authRoutes);
+  ui.use("/api", auth.protect);
+
   ui.use("/api/containers", containerRoutes);
-  ui.use(express.static("/app/public/ui"));
   ui.use("/api/groups", groupRoutes);
   ui.use("/api/schedules", scheduleRoutes);
   ui.use("/api/apikeys", apiKeyRoutes);
-
-  ui.locals.isContainerRunning = isContainerRunning;
-  ui.locals.startContainer = startContainer;
-  ui.locals.stopContainer = stopContainer;
-  ui.locals.lastActivity = lastActivity;
-  ui.locals.allContainers = allContainers;
+  ui.use("/api/notifications", notificationRoutes);
+  ui.use("/api/events", eventRoutes);
+  ui.use("/api/config", configRoutes);
+  ui.get(["/metrics", "/api/metrics"], auth.protect, sendMetrics);
+
+  // Send pages to the login form until signed in, assets stay public
+  ui.get("/login", (req, res) => res.sendFile(LOGIN_PAGE));
+  ui.use((req, res, next) => {
+    if (req.method !== "GET" || !auth.isEnabled() || auth.identify(req)) return next();
+    if (req.path.startsWith("/assets/") || req.path === "/vite.svg") return next();
+    res.redirect("/login");
+  });
+  ui.get("/timeline", (req, res) => res.sendFile(TIMELINE_PAGE));
+  ui.use(express.static("/app/public/ui"));
 
   ui.listen(UI_PORT, () => {
     log(`WebUI running on port ${UI_PORT}`);
@@ -750,13 +2072,8 @@ const server = app.listen(PORT, () => {
 
 server.on("upgrade", (req, socket, head) => {
   const container = findContainerByRequest(req, true);
-  log(`<${container?.name || 'unknown'}> websocket upgrade request`);
+  log.debug(`<${container?.name || 'unknown'}> websocket upgrade request`, { container: container?.name });
   if (!container) return socket.destroy();
-  
-  proxy.ws(req, socket, head, { 
-    target: container.url, 
-    ws: true, 
-    changeOrigin: false, 
-    xfwd: true 
-  });
+
+  forwardUpgrade(req, socket, head, container);
 });
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { test, describe, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "spinnerr-apikeys-"));
+const configPath = path.join(dir, "config.json");
+process.env.CONFIG_DIR = dir;
+const { default: apiKeyRoutes } = await import("../routes/apiKeyRoutes.js");
+
+const pve = {
+  hostname: "pve1.lan",
+  port: 8006,
+  node: "pve1",
+  user: "root@pam",
+  tokenId: "spinnerr",
+  token: "secret-1",
+  fingerprint: "AB:CD:EF",
+  verifyTls: true,
+  hosts: [
+    { hostname: "pve2.lan", user: "root@pam", tokenId: "spinnerr", token: "secret-2", verifyTls: false },
+    { hostname: "pve3.lan", user: "root@pam", tokenId: "spinnerr", token: "secret-3", ca: "pem" }
+  ]
+};
+
+const savedPve = () => JSON.parse(fs.readFileSync(configPath, "utf-8")).apiKeys.pve;
+
+describe("PUT /api/apikeys", () => {
+  const app = express();
+  app.locals.testPveCredentials = async (keys) => ({ ok: true, keys });
+  app.use("/api/apikeys", express.json(), apiKeyRoutes);
+  let server;
+  let base;
+
+  const put = (body) => fetch(`${base}/`, { method: "PUT", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+
+  before(async () => {
+    server = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+    base = `http://127.0.0.1:${server.address().port}/api/apikeys`;
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => fs.writeFileSync(configPath, JSON.stringify({ containers: [], apiKeys: { pve } })));
+
+  test("a save from the UI form keeps the pinned TLS settings", async () => {
+    // What the bundled UI's Proxmox dialog sends, with the token still masked
+    const res = await put({ pve: { hostname: "pve1.lan", port: 8006, node: "pve1", user: "root@pam", tokenId: "spinnerr", token: "********" } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(savedPve(), pve);
+  });
+
+  test("extra hosts survive a save of the primary host", async () => {
+    await put({ pve: { hostname: "pve1.lan", token: "********", node: "pve1b" } });
+    assert.deepEqual(savedPve().hosts, pve.hosts);
+    assert.equal(savedPve().node, "pve1b");
+  });
+
+  test("hosts sent back are matched by hostname, keeping their own token and TLS settings", async () => {
+    await put({ pve: { hosts: [
+      { hostname: "pve3.lan", token: "********", tokenId: "other" },
+      { hostname: "pve4.lan", user: "root@pam", tokenId: "spinnerr", token: "********" }
+    ] } });
+
+    assert.deepEqual(savedPve().hosts, [
+      { hostname: "pve3.lan", user: "root@pam", tokenId: "other", token: "secret-3", ca: "pem" },
+      { hostname: "pve4.lan", user: "root@pam", tokenId: "spinnerr" }
+    ]);
+  });
+
+  test("TLS fields sent in the request replace or remove the saved ones", async () => {
+    await put({ pve: { ca: "-----BEGIN CERTIFICATE-----", fingerprint: null, verifyTls: false } });
+    const { fingerprint, ...rest } = pve;
+    assert.deepEqual(savedPve(), { ...rest, ca: "-----BEGIN CERTIFICATE-----", verifyTls: false });
+  });
+});
+
+describe("POST /api/apikeys/pve/test", () => {
+  const app = express();
+  app.locals.testPveCredentials = async (keys) => ({ ok: true, keys });
+  app.use("/api/apikeys", express.json(), apiKeyRoutes);
+  let server;
+  let base;
+
+  const post = (body) => fetch(`${base}/pve/test`, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+
+  before(async () => {
+    fs.mkdirSync(dir, { recursive: true });
+    server = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+    base = `http://127.0.0.1:${server.address().port}/api/apikeys`;
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => fs.writeFileSync(configPath, JSON.stringify({ containers: [], apiKeys: { pve } })));
+
+  test("the saved token isn't sent to another hostname or port", async () => {
+    for (const body of [{ hostname: "evil.example" }, { port: 443, token: "********" }, { hosts: [{ hostname: "pve2.lan", port: 9999 }] }]) {
+      const res = await post(body);
+      assert.equal(res.status, 400, JSON.stringify(body));
+      assert.match((await res.json()).error, /token is required/);
+    }
+  });
+
+  test("the saved credentials are used for the saved host, a new host brings its token", async () => {
+    const saved = await (await post({ token: "********", node: "pve1" })).json();
+    assert.equal(saved.keys.token, "secret-1");
+
+    const other = await (await post({ hostname: "pve9.lan", token: "secret-9" })).json();
+    assert.equal(other.keys.hostname, "pve9.lan");
+    assert.equal(other.keys.token, "secret-9");
+  });
+});
+
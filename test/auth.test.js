@@ -0,0 +1,40 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { redactSecrets, restoreSecrets, stripSecrets, REDACTED } from "../lib/auth.js";
+import { diffConfig } from "../lib/configHistory.js";
+
+describe("secrets", () => {
+  const target = { name: "hook", type: "webhook", url: "https://x", headers: { Authorization: "Bearer abc", "X-Empty": "" }, token: "t" };
+
+  test("header values are redacted like tokens", () => {
+    assert.deepEqual(redactSecrets(target), { ...target, headers: { Authorization: REDACTED, "X-Empty": "" }, token: REDACTED });
+  });
+
+  test("redacted header values keep the saved ones on update", () => {
+    const update = { ...redactSecrets(target), headers: { Authorization: REDACTED, "X-New": "1" } };
+    assert.deepEqual(restoreSecrets(update, target).headers, { Authorization: "Bearer abc", "X-New": "1" });
+  });
+
+  test("exports without secrets leave out the headers", () => {
+    assert.equal(stripSecrets(target).headers, undefined);
+    assert.equal(stripSecrets(target).token, undefined);
+  });
+});
+
+describe("config history diffs", () => {
+  test("changed header values only show as redacted", () => {
+    const before = { notifications: [{ id: "1", name: "hook", headers: { Authorization: "Bearer old" } }] };
+    const after = { notifications: [{ id: "1", name: "hook", headers: { Authorization: "Bearer new", Accept: "text/plain" } }] };
+
+    assert.deepEqual(diffConfig(before, after), [
+      { op: "change", path: "notifications[1].headers.Authorization", from: REDACTED, to: REDACTED },
+      { op: "add", path: "notifications[1].headers.Accept", from: undefined, to: REDACTED }
+    ]);
+  });
+
+  test("a whole new target has its headers and token redacted", () => {
+    const target = { id: "1", name: "hook", token: "t", headers: { Authorization: "Bearer abc" } };
+    const [change] = diffConfig({ notifications: [] }, { notifications: [target] });
+    assert.deepEqual(change.to, { ...target, token: REDACTED, headers: { Authorization: REDACTED } });
+  });
+});
@@ -0,0 +1,71 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { createCircuitBreaker } from "../lib/circuitBreaker.js";
+
+// Times are passed in, so the cooldown is stepped through without waiting
+const opened = (now = 0) => {
+  const breaker = createCircuitBreaker({ threshold: 3, cooldown: 1000 });
+  breaker.failure(now);
+  breaker.failure(now);
+  breaker.failure(now);
+  return breaker;
+};
+
+describe("createCircuitBreaker", () => {
+  test("stays closed below the threshold and a success resets the count", () => {
+    const breaker = createCircuitBreaker({ threshold: 3, cooldown: 1000 });
+    assert.equal(breaker.failure(0), false);
+    assert.equal(breaker.failure(0), false);
+    assert.equal(breaker.success(), false);
+    assert.equal(breaker.failure(0), false);
+
+    assert.deepEqual(breaker.status(0), { state: "closed", failures: 1, retryAt: null });
+    assert.equal(breaker.allows(0), true);
+  });
+
+  test("opens at the threshold and refuses calls until the cooldown has passed", () => {
+    const breaker = createCircuitBreaker({ threshold: 3, cooldown: 1000 });
+    breaker.failure(0);
+    breaker.failure(0);
+    assert.equal(breaker.failure(100), true); // closed -> open
+
+    assert.deepEqual(breaker.status(500), { state: "open", failures: 3, retryAt: 1100 });
+    assert.equal(breaker.allows(500), false);
+    assert.equal(breaker.status(1100).state, "half-open");
+  });
+
+  test("half-open lets one trial through, its success closes the circuit", () => {
+    const breaker = opened();
+    assert.equal(breaker.allows(1000), true);
+    assert.equal(breaker.allows(1001), false); // the trial is still out
+
+    assert.equal(breaker.success(), true); // open -> closed
+    assert.deepEqual(breaker.status(1002), { state: "closed", failures: 0, retryAt: null });
+    assert.equal(breaker.allows(1002), true);
+  });
+
+  test("a failed trial opens the circuit for another cooldown", () => {
+    const breaker = opened();
+    assert.equal(breaker.allows(1000), true);
+    assert.equal(breaker.failure(1200), false); // still open, no change to report
+
+    assert.equal(breaker.status(1500).state, "open");
+    assert.equal(breaker.allows(1500), false);
+    assert.equal(breaker.status(2200).state, "half-open");
+    assert.equal(breaker.allows(2200), true);
+  });
+
+  test("a trial that never reports back is replaced after another cooldown", () => {
+    const breaker = opened();
+    assert.equal(breaker.allows(1000), true);
+    assert.equal(breaker.allows(1999), false);
+    assert.equal(breaker.allows(2000), true); // replacement trial
+    assert.equal(breaker.allows(2001), false);
+  });
+
+  test("failures while open don't move the reopen time", () => {
+    const breaker = opened();
+    breaker.failure(500);
+    assert.equal(breaker.status(500).retryAt, 1000);
+  });
+});
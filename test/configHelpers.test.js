@@ -0,0 +1,88 @@
+import { test, describe, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "spinnerr-config-"));
+const configPath = path.join(dir, "config.json");
+process.env.CONFIG_DIR = dir;
+const { readConfig, updateConfig, sendConfigError, ConfigError, useLogger } = await import("../routes/helpers.js");
+useLogger(Object.assign(() => {}, { debug() {}, info() {}, warn() {}, error() {} }));
+
+// What the routers pass to updateConfig: only the auth header and the app locals are used
+const fakeReq = () => ({ headers: {}, app: { locals: {} } });
+
+const fakeRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const saved = {
+  containers: [{ name: "web", url: "http://web:80", active: true }],
+  order: ["web"],
+  groups: [{ name: "media", container: ["web"], active: true }],
+  groupOrder: ["media"],
+  schedules: [],
+  apiKeys: {},
+  notifications: [],
+  auth: { users: [{ username: "admin", passwordHash: "x", role: "admin" }] }
+};
+
+describe("updateConfig", () => {
+  before(() => fs.mkdirSync(dir, { recursive: true }));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  beforeEach(() => fs.writeFileSync(configPath, JSON.stringify(saved)));
+
+  test("saves the change on top of the current config", async () => {
+    await updateConfig(fakeReq(), config => {
+      config.containers.push({ name: "db", url: "http://db:5432", active: true });
+    });
+
+    const written = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+    assert.deepEqual(written.containers.map(c => c.name), ["web", "db"]);
+    assert.equal(written.groups.length, 1);
+    assert.equal(written.auth.users.length, 1);
+  });
+
+  test("hands the saved auth block to the running server", async () => {
+    const req = fakeReq();
+    let applied = null;
+    req.app.locals.applyAuthConfig = (auth) => { applied = auth; };
+
+    await updateConfig(req, config => {
+      config.auth.tokens = [{ id: "t1", name: "ci", hash: "abc", role: "operator" }];
+    });
+
+    assert.deepEqual(applied.tokens.map(t => t.name), ["ci"]);
+    assert.equal(applied.users.length, 1);
+  });
+
+  test("refuses to write over a config.json that can't be parsed", async () => {
+    const broken = JSON.stringify(saved).slice(0, -5);
+    fs.writeFileSync(configPath, broken);
+    let mutated = false;
+
+    const error = await updateConfig(fakeReq(), config => {
+      mutated = true;
+      config.containers.push({ name: "db", url: "http://db:5432", active: true });
+    }).catch(e => e);
+
+    assert.ok(error instanceof ConfigError);
+    assert.equal(error.statusCode, 409);
+    assert.equal(mutated, false);
+    assert.equal(fs.readFileSync(configPath, "utf-8"), broken);
+
+    const res = fakeRes();
+    sendConfigError(res, error);
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.error, /can't be read/);
+  });
+
+  test("reads treat a broken config.json as empty", () => {
+    fs.writeFileSync(configPath, "{");
+    assert.deepEqual(readConfig().containers, []);
+  });
+});
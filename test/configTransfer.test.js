@@ -0,0 +1,65 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { planImport, findDanglingReferences } from "../lib/configTransfer.js";
+import { validateConfig } from "../lib/configSchema.js";
+
+const current = {
+  containers: [{ name: "web", url: "http://web:80", active: true }],
+  order: ["web"],
+  groups: [{ name: "media", container: ["web", "db"], active: true }], // db comes from Docker labels
+  groupOrder: ["media"],
+  schedules: [],
+  apiKeys: {},
+  notifications: [],
+  auth: {}
+};
+
+describe("findDanglingReferences", () => {
+  test("flags members that exist nowhere", () => {
+    assert.deepEqual(findDanglingReferences(current), [{ field: "groups[media].container", message: 'references missing container "db"' }]);
+  });
+
+  test("accepts members and schedule targets from Docker labels", () => {
+    const config = { ...current, schedules: [{ id: "1", targetType: "group", target: "labelled", timers: [{ startTime: "08:00", stopTime: "20:00" }] }] };
+    assert.deepEqual(validateConfig(config), []);
+    assert.deepEqual(findDanglingReferences(config, { containers: ["db"], groups: ["labelled"] }), []);
+  });
+});
+
+describe("planImport", () => {
+  test("a merge of unrelated entries passes next to groups holding label containers", () => {
+    const imported = { containers: [{ name: "api", url: "http://api:80", active: true }] };
+    const plan = planImport(current, imported, "merge", { containers: ["db"], groups: [] });
+
+    assert.deepEqual(plan.errors, []);
+    assert.deepEqual(plan.config.containers.map(c => c.name), ["web", "api"]);
+  });
+
+  test("a merge isn't blamed for dangling references the saved config already has", () => {
+    const saved = { ...current, schedules: [{ id: "1", targetType: "group", target: "Immich", timers: [{ startTime: "08:00" }] }] };
+
+    const plan = planImport(saved, { containers: [{ name: "api", url: "http://api:80", active: true }] }, "merge", { containers: ["db"] });
+    assert.deepEqual(plan.errors, []);
+
+    const dangling = planImport(saved, { groups: [{ name: "apps", container: ["ghost"], active: true }] }, "merge", { containers: ["db"] });
+    assert.deepEqual(dangling.errors, [{ field: "groups[apps].container", message: 'references missing container "ghost"' }]);
+  });
+
+  test("a replace reports every dangling reference of the imported config", () => {
+    const imported = { ...current, containers: [], schedules: [{ id: "1", targetType: "group", target: "Immich", timers: [{ startTime: "08:00" }] }] };
+    const plan = planImport(current, imported, "replace");
+
+    assert.deepEqual(plan.errors.map(e => e.field), ["groups[media].container", "groups[media].container", "schedules[group:Immich]"]);
+  });
+
+  test("rejects containers on a backend this host doesn't run", () => {
+    const imported = { containers: [{ name: "minecraft", backend: "command", commands: { start: "true" } }] };
+    const plan = planImport(current, imported, "merge", { containers: ["db"] }, ["docker", "proxmox"]);
+
+    assert.deepEqual(plan.errors, [{
+      field: "containers[minecraft].backend",
+      message: "command is disabled, set ENABLE_COMMAND_BACKEND=true to allow it"
+    }]);
+    assert.deepEqual(planImport(current, imported, "merge", { containers: ["db"] }, ["docker", "command"]).errors, []);
+  });
+});
@@ -0,0 +1,51 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { dependencyOrder, stopOrder, findDependencyCycle, formatCycle } from "../lib/dependencies.js";
+
+// app -> api -> db, cache; worker -> db
+const entries = [
+  { name: "app", dependsOn: ["api"] },
+  { name: "api", dependsOn: ["db", "cache"] },
+  { name: "db" },
+  { name: "cache" },
+  { name: "worker", dependsOn: ["db"] }
+];
+
+describe("dependencyOrder", () => {
+  test("puts dependencies before the containers that need them", () => {
+    assert.deepEqual(dependencyOrder(["app"], entries), { order: ["db", "cache", "api", "app"], missing: [], cycle: null });
+  });
+
+  test("keeps the given order where dependencies allow it and lists shared ones once", () => {
+    assert.deepEqual(dependencyOrder(["worker", "app"], entries).order, ["db", "worker", "cache", "api", "app"]);
+  });
+
+  test("reports missing dependencies and still orders the rest", () => {
+    const result = dependencyOrder(["web"], [{ name: "web", dependsOn: ["db", "ghost"] }, { name: "db" }]);
+    assert.deepEqual(result, { order: ["db", "web"], missing: ["ghost"], cycle: null });
+  });
+
+  test("reports a cycle and ignores the dependency closing it", () => {
+    const cyclic = [{ name: "a", dependsOn: ["b"] }, { name: "b", dependsOn: ["c"] }, { name: "c", dependsOn: ["a"] }];
+    const result = dependencyOrder(["a"], cyclic);
+
+    assert.deepEqual(result.cycle, ["a", "b", "c", "a"]);
+    assert.deepEqual(result.order, ["c", "b", "a"]);
+  });
+});
+
+describe("stopOrder", () => {
+  test("stops dependents first and leaves dependencies outside the set alone", () => {
+    assert.deepEqual(stopOrder(["db", "api", "app"], entries), ["app", "api", "db"]);
+    assert.deepEqual(stopOrder(["app"], entries), ["app"]);
+  });
+});
+
+describe("findDependencyCycle", () => {
+  test("finds a cycle anywhere in the entries, including a container needing itself", () => {
+    assert.equal(findDependencyCycle(entries), null);
+    assert.deepEqual(findDependencyCycle([...entries, { name: "x", dependsOn: ["y"] }, { name: "y", dependsOn: ["x"] }]), ["x", "y", "x"]);
+    assert.deepEqual(findDependencyCycle([{ name: "self", dependsOn: ["self"] }]), ["self", "self"]);
+    assert.equal(formatCycle(["a", "b", "a"]), "a -> b -> a");
+  });
+});
@@ -0,0 +1,220 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { createDockerClient, DockerApiError } from "../lib/dockerClient.js";
+import { createDockerState } from "../lib/dockerState.js";
+
+// Fake Docker Engine API: routes are "METHOD /path" (without query string) -> (req, res)
+function fakeDocker(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const handler = routes[`${req.method} ${req.url.split("?")[0]}`];
+    if (!handler) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ message: `No such container: ${req.url}` }));
+    }
+    handler(req, res);
+  });
+  return { server, requests };
+}
+
+const json = (status, body) => (req, res) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const listen = (server, target) => new Promise(resolve => server.listen(target, resolve));
+
+describe("dockerClient over a tcp:// proxy", () => {
+  const fake = fakeDocker({
+    "GET /containers/json": json(200, [{ Names: ["/web"], State: "running", Status: "Up 2 minutes (healthy)" }]),
+    "GET /containers/web/json": json(200, { State: { Running: true, StartedAt: "2024-01-01T00:00:00Z" } }),
+    "POST /containers/web/start": json(204),
+    "POST /containers/up/start": json(304),
+    "POST /containers/web/stop": json(204),
+    "POST /containers/broken/start": json(500, { message: "driver failed programming external connectivity" }),
+    "GET /containers/slow/json": () => {} // never answers
+  });
+  let url;
+
+  before(async () => {
+    await listen(fake.server, 0);
+    url = `tcp://127.0.0.1:${fake.server.address().port}`;
+  });
+  after(() => fake.server.close());
+
+  test("lists and inspects containers", async () => {
+    const client = createDockerClient({ url });
+    const list = await client.listContainers({ all: true, filters: { label: ["a=b"] } });
+    assert.equal(list[0].Names[0], "/web");
+    assert.ok(fake.requests.some(r => r.startsWith("GET /containers/json?all=1&filters=")));
+
+    const info = await client.inspectContainer("web");
+    assert.equal(info.State.Running, true);
+  });
+
+  test("start and stop tell 204 from 304", async () => {
+    const client = createDockerClient({ url });
+    assert.equal(await client.startContainer("web"), true);
+    assert.equal(await client.startContainer("up"), false);
+    assert.equal(await client.stopContainer("web", { wait: 5 }), true);
+    assert.ok(fake.requests.includes("POST /containers/web/stop?t=5"));
+  });
+
+  test("maps error statuses to DockerApiError with the API message", async () => {
+    const client = createDockerClient({ url });
+    await assert.rejects(client.inspectContainer("missing"), (e) => {
+      assert.ok(e instanceof DockerApiError);
+      assert.equal(e.statusCode, 404);
+      assert.match(e.message, /No such container/);
+      return true;
+    });
+    await assert.rejects(client.startContainer("broken"), { statusCode: 500, message: /external connectivity/ });
+  });
+
+  test("times out requests that never answer", async () => {
+    const client = createDockerClient({ url, timeout: 100 });
+    await assert.rejects(client.inspectContainer("slow"), /timed out/);
+  });
+
+  test("reports every request with its operation", async () => {
+    const seen = [];
+    const client = createDockerClient({ url, onRequest: (r) => seen.push(r) });
+    await client.startContainer("web");
+    await client.inspectContainer("missing").catch(() => {});
+
+    assert.equal(seen[0].operation, "POST /containers/{id}/start");
+    assert.equal(seen[0].error, null);
+    assert.equal(seen[1].operation, "GET /containers/{id}/json");
+    assert.equal(seen[1].error.statusCode, 404);
+  });
+
+  test("sends nothing while isAvailable() is false", async () => {
+    const before = fake.requests.length;
+    const seen = [];
+    const client = createDockerClient({ url, isAvailable: () => false, onRequest: (r) => seen.push(r) });
+    await assert.rejects(client.inspectContainer("web"), /unavailable/);
+    assert.equal(fake.requests.length, before);
+    assert.equal(seen.length, 0);
+  });
+
+  test("refused connections are errors without a statusCode", async () => {
+    const client = createDockerClient({ url: "tcp://127.0.0.1:1" });
+    await assert.rejects(client.inspectContainer("web"), (e) => e.statusCode === undefined);
+  });
+});
+
+describe("dockerClient over the unix socket", () => {
+  const socketPath = path.join(os.tmpdir(), `spinnerr-docker-${process.pid}.sock`);
+  const fake = fakeDocker({ "GET /containers/web/json": json(200, { State: { Running: false } }) });
+
+  before(async () => {
+    fs.rmSync(socketPath, { force: true });
+    await listen(fake.server, socketPath);
+  });
+  after(() => fake.server.close());
+
+  test("inspects a container", async () => {
+    const client = createDockerClient({ socketPath });
+    const info = await client.inspectContainer("web");
+    assert.equal(info.State.Running, false);
+  });
+});
+
+describe("dockerClient events stream", () => {
+  let url;
+  let respond;
+  const server = http.createServer((req, res) => respond(req, res));
+
+  before(async () => {
+    await listen(server, 0);
+    url = `tcp://127.0.0.1:${server.address().port}`;
+  });
+  after(() => server.close());
+
+  test("parses events split across chunks and skips malformed lines", async () => {
+    respond = (req, res) => {
+      assert.match(req.url, /^\/events\?filters=/);
+      res.writeHead(200);
+      res.write('{"Action":"start","Actor":{"Attributes":{"name":"web"}}}\n{"Act');
+      res.write('ion":"die","Actor":{"Attributes":{"name":"web"}}}\nnot json\n\n');
+      res.end();
+    };
+
+    const events = [];
+    let opened = false;
+    const closedWith = await new Promise(resolve => {
+      createDockerClient({ url }).streamEvents({ type: ["container"] }, {
+        onOpen: () => opened = true,
+        onEvent: (event) => events.push(event.Action),
+        onClose: resolve
+      });
+    });
+
+    assert.equal(opened, true);
+    assert.deepEqual(events, ["start", "die"]);
+    assert.equal(closedWith, null);
+  });
+
+  test("closes with the error when the API refuses the stream", async () => {
+    respond = (req, res) => { res.writeHead(500); res.end("boom"); };
+
+    let closes = 0;
+    const error = await new Promise(resolve => {
+      createDockerClient({ url }).streamEvents({}, {
+        onEvent: () => {},
+        onClose: (err) => { closes++; resolve(err); }
+      });
+    });
+
+    assert.ok(error instanceof DockerApiError);
+    assert.equal(error.statusCode, 500);
+    assert.equal(closes, 1);
+  });
+});
+
+describe("dockerState", () => {
+  const fake = fakeDocker({
+    "GET /containers/json": json(200, [
+      { Names: ["/web"], State: "running", Status: "Up 1 minute (health: starting)" },
+      { Names: ["/db"], State: "exited", Status: "Exited (0) 1 hour ago" }
+    ]),
+    "GET /containers/web/json": json(200, { State: { StartedAt: "2024-01-01T00:00:00Z" } })
+  });
+  let state;
+
+  before(async () => {
+    await listen(fake.server, 0);
+    state = createDockerState(createDockerClient({ url: `tcp://127.0.0.1:${fake.server.address().port}` }));
+  });
+  after(() => fake.server.close());
+
+  test("resync reads the list and inspects running containers", async () => {
+    await state.resync();
+    assert.deepEqual(state.names().sort(), ["db", "web"]);
+    assert.deepEqual(state.get("web"), { running: true, startedAt: Date.parse("2024-01-01T00:00:00Z"), health: "starting" });
+    assert.deepEqual(state.get("db"), { running: false, startedAt: null, health: null });
+    assert.ok(!fake.requests.includes("GET /containers/db/json"));
+  });
+
+  test("events update the states and report running changes", () => {
+    const event = (Action, name, extra = {}) => ({ Action, time: 1700000000, Actor: { Attributes: { name, ...extra } } });
+
+    assert.deepEqual(state.apply(event("start", "db")), { name: "db", running: true });
+    assert.equal(state.get("db").startedAt, 1700000000 * 1000);
+    assert.equal(state.apply(event("health_status: healthy", "web")), null);
+    assert.equal(state.get("web").health, "healthy");
+    assert.deepEqual(state.apply(event("die", "web")), { name: "web", running: false });
+    assert.equal(state.get("web").health, null);
+    assert.equal(state.apply(event("pause", "db")), null);
+
+    state.apply(event("rename", "db2", { oldName: "/db" }));
+    assert.equal(state.get("db"), undefined);
+    state.apply(event("destroy", "web"));
+    assert.deepEqual(state.names(), ["db2"]);
+  });
+});
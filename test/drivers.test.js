@@ -0,0 +1,62 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createDockerClient } from "../lib/dockerClient.js";
+import { createDockerApiDriver } from "../lib/drivers/dockerApi.js";
+import { createCommandDriver } from "../lib/drivers/command.js";
+
+const silentLog = Object.assign(() => {}, { debug() {}, info() {}, warn() {}, error() {} });
+
+describe("dockerApi driver", () => {
+  const server = http.createServer((req, res) => {
+    const status = { "/containers/up/json": 200, "/containers/down/json": 200, "/containers/gone/json": 404 }[req.url] || 500;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(status === 200 ? { State: { Running: req.url.includes("/up/") } } : { message: "daemon error" }));
+  });
+  let driver;
+  const failures = [];
+
+  before(async () => {
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const client = createDockerClient({ url: `tcp://127.0.0.1:${server.address().port}` });
+    driver = createDockerApiDriver(client, { log: silentLog, onFailure: (...args) => failures.push(args) });
+  });
+  after(() => server.close());
+
+  test("tells running, stopped and unknown containers apart", async () => {
+    assert.equal(await driver.isRunning("up"), true);
+    assert.equal(await driver.isRunning("down"), false);
+    assert.equal(await driver.isRunning("gone"), false);
+    await assert.rejects(driver.isRunning("broken"), /daemon error/);
+  });
+
+  test("a stop whose state is unknown fails instead of passing for done", async () => {
+    await driver.stop("broken");
+    assert.deepEqual(failures.map(([action, name]) => [action, name]), [["stop", "broken"]]);
+  });
+});
+
+describe("command driver", () => {
+  const driver = createCommandDriver({ log: silentLog });
+
+  test("the status exit code tells whether it runs", async () => {
+    assert.equal(await driver.isRunning("a", { commands: { status: "true" } }), true);
+    assert.equal(await driver.isRunning("a", { commands: { status: "exit 3" } }), false);
+  });
+
+  test("a status command that times out leaves the state unknown", async () => {
+    await assert.rejects(driver.isRunning("a", { commands: { status: "sleep 5", timeout: 0.2 } }), /timed out/);
+  });
+
+  test("a missing start or stop command is reported as a failure", async () => {
+    const failures = [];
+    const reporting = createCommandDriver({ log: silentLog, onFailure: (...failure) => failures.push(failure) });
+
+    await reporting.start("a", { commands: { stop: "true" } });
+    await reporting.stop("a", { commands: {} });
+    assert.deepEqual(failures, [
+      ["start", "a", "Failed to start a: no start command configured"],
+      ["stop", "a", "Failed to stop a: no stop command configured"]
+    ]);
+  });
+});
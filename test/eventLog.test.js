@@ -0,0 +1,46 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createEventLog } from "../lib/eventLog.js";
+
+const silentLog = Object.assign(() => {}, { debug() {}, info() {}, warn() {}, error() {} });
+const at = (iso) => Date.parse(iso);
+
+describe("event log queries", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "spinnerr-events-"));
+  const eventLog = createEventLog({ dir, log: silentLog });
+
+  // Three days with a start and a stop of web each, plus one of db
+  before(() => ["2024-05-01", "2024-05-02", "2024-05-03"].forEach(day => {
+    eventLog.append({ type: "container.start", time: at(`${day}T08:00:00Z`), container: "web" });
+    eventLog.append({ type: "container.start", time: at(`${day}T09:00:00Z`), container: "db" });
+    eventLog.append({ type: "container.stop", time: at(`${day}T20:00:00Z`), container: "web" });
+  }));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("pages through matches newest first", () => {
+    const first = eventLog.query({ target: "web", limit: 2 });
+    assert.deepEqual(first.events.map(e => e.time), [at("2024-05-03T20:00:00Z"), at("2024-05-03T08:00:00Z")]);
+    assert.equal(first.more, true);
+
+    const last = eventLog.query({ target: "web", limit: 2, offset: 4 });
+    assert.deepEqual(last.events.map(e => e.time), [at("2024-05-01T20:00:00Z"), at("2024-05-01T08:00:00Z")]);
+    assert.equal(last.more, false);
+  });
+
+  test("filters by type and time", () => {
+    const { events } = eventLog.query({ type: "container.st*", since: at("2024-05-02T08:30:00Z"), until: at("2024-05-02T23:59:59Z") });
+    assert.deepEqual(events.map(e => [e.container, e.type]), [["web", "container.stop"], ["db", "container.start"]]);
+  });
+
+  test("stops reading older day files once the page is full", (t) => {
+    const read = t.mock.method(fs, "readFileSync");
+    const { events, more } = eventLog.query({ limit: 2 });
+
+    assert.equal(events.length, 2);
+    assert.equal(more, true);
+    assert.deepEqual(read.mock.calls.map(call => path.basename(call.arguments[0])), ["events-2024-05-03.jsonl"]);
+  });
+});
@@ -0,0 +1,90 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import express from "express";
+import eventRoutes from "../routes/eventRoutes.js";
+
+describe("GET /api/events/history", () => {
+  const queries = [];
+  const app = express();
+  app.locals.eventLog = { query: (options) => { queries.push(options); return { more: false, events: [] }; } };
+  app.use("/api/events", eventRoutes);
+  let server;
+  let base;
+
+  before(async () => {
+    server = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+    base = `http://127.0.0.1:${server.address().port}/api/events/history`;
+  });
+  after(() => server.close());
+
+  test("passes timestamps and dates on to the event log", async () => {
+    const res = await fetch(`${base}?since=1700000000000&until=2024-01-02T00:00:00Z&limit=5000`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { limit: 1000, offset: 0, more: false, events: [] });
+    assert.equal(queries.at(-1).since, 1700000000000);
+    assert.equal(queries.at(-1).until, Date.parse("2024-01-02T00:00:00Z"));
+  });
+
+  test("answers 400 with JSON for invalid or out of range times", async () => {
+    for (const query of ["since=99999999999999999", "until=yesterday", `since=${8.64e15 + 1}`]) {
+      const res = await fetch(`${base}?${query}`);
+      assert.equal(res.status, 400, query);
+      assert.match((await res.json()).error, /since and until/);
+    }
+  });
+});
+
+describe("GET /api/events?container=", () => {
+  const events = new EventEmitter();
+  const app = express();
+  app.locals.events = events;
+  app.locals.watchReadiness = () => () => {};
+  app.use("/public/events", (req, res, next) => { res.locals.publicEvents = true; next(); }, eventRoutes);
+  app.use("/api/events", eventRoutes);
+  let server;
+  let base;
+
+  before(async () => {
+    server = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => server.close());
+
+  const sent = [
+    { type: "container.start", container: "web", reason: "schedule", schedule: "s1" },
+    { type: "container.start_failed", container: "web", message: "podman: connection refused" },
+    { type: "container.stop", container: "web", reason: "ui", user: "admin" },
+    { type: "container.state", container: "db", running: true },
+    { type: "container.ready", container: "web" }
+  ];
+
+  // Collects the data lines of one stream until the container.ready event
+  async function collect(path) {
+    const controller = new AbortController();
+    const res = await fetch(`${base}${path}?container=web`, { signal: controller.signal });
+    const reader = res.body.getReader();
+    await reader.read(); // the retry line, the stream is listening from here on
+    sent.forEach(event => events.emit("event", { time: 1, ...event }));
+
+    let text = "";
+    while (!text.includes("event: container.ready")) {
+      text += new TextDecoder().decode((await reader.read()).value);
+    }
+    controller.abort();
+    return text.split("\n").filter(line => line.startsWith("data: ")).map(line => JSON.parse(line.slice(6)));
+  }
+
+  test("the public stream only sends state changes, without details", async () => {
+    assert.deepEqual(await collect("/public/events"), [
+      { type: "container.start_failed", time: 1, container: "web" },
+      { type: "container.ready", time: 1, container: "web" }
+    ]);
+  });
+
+  test("authenticated streams keep every event of the container", async () => {
+    const received = await collect("/api/events");
+    assert.deepEqual(received.map(e => e.type), ["container.start", "container.start_failed", "container.stop", "container.ready"]);
+    assert.equal(received[1].message, "podman: connection refused");
+  });
+});
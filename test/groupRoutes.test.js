@@ -0,0 +1,60 @@
+import { test, describe, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "spinnerr-groups-"));
+const configPath = path.join(dir, "config.json");
+process.env.CONFIG_DIR = dir;
+const { default: groupRoutes } = await import("../routes/groupRoutes.js");
+
+const saved = {
+  containers: [{ name: "web", url: "http://web:80", active: true, dependsOn: ["db"] }, { name: "other", active: true }],
+  groups: [{ name: "media", container: ["other"], active: true }]
+};
+
+describe("group dependency cycles", () => {
+  const app = express();
+  // db and cache need each other through their labels, config.json can't see that
+  app.locals.labelContainers = () => [
+    { name: "db", dependsOn: ["cache"], source: "labels" },
+    { name: "cache", dependsOn: ["db"], source: "labels" }
+  ];
+  app.locals.labelGroups = () => [];
+  app.use("/api/groups", express.json(), groupRoutes);
+  let server;
+  let base;
+
+  const send = (method, url, body) => fetch(`${base}${url}`, { method, headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+  const savedGroups = () => JSON.parse(fs.readFileSync(configPath, "utf-8")).groups;
+
+  before(async () => {
+    server = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+    base = `http://127.0.0.1:${server.address().port}/api/groups`;
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => fs.writeFileSync(configPath, JSON.stringify(saved)));
+
+  test("a new group whose members depend on a cycle is rejected", async () => {
+    const res = await send("POST", "/", { name: "app", container: ["web"] });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /dependency cycle: db -> cache -> db/);
+    assert.equal(savedGroups().length, 1);
+  });
+
+  test("an update adding such a member is rejected", async () => {
+    const res = await send("PUT", "/media", { container: ["other", "cache"] });
+    assert.equal(res.status, 400);
+    assert.deepEqual(savedGroups()[0].container, ["other"]);
+  });
+
+  test("members without a cycle are accepted", async () => {
+    const res = await send("POST", "/", { name: "solo", container: ["other"] });
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,33 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { discoverFromLabels } from "../lib/labelDiscovery.js";
+
+// Only listContainers is used, with the fields the Docker list endpoint returns
+const client = (list) => ({ listContainers: async () => list });
+
+describe("discoverFromLabels", () => {
+  test("label containers count as activated when Docker created them", async () => {
+    const created = 1700000000;
+    const { containers, errors } = await discoverFromLabels(client([{
+      Names: ["/whoami"],
+      Created: created,
+      Labels: { "spinnerr.enable": "true", "spinnerr.url": "http://whoami:80", "spinnerr.idle_timeout": "300" }
+    }]));
+
+    assert.deepEqual(errors, []);
+    assert.equal(containers[0].activatedAt, created * 1000);
+    assert.equal(containers[0].idleTimeout, 300);
+  });
+
+  test("groups collect their members and invalid labels are reported", async () => {
+    const { containers, groups, errors } = await discoverFromLabels(client([
+      { Names: ["/a"], Created: 1, Labels: { "spinnerr.enable": "true", "spinnerr.group": "media" } },
+      { Names: ["/b"], Created: 1, Labels: { "spinnerr.enable": "true", "spinnerr.group": "media" } },
+      { Names: ["/c"], Created: 1, Labels: { "spinnerr.enable": "true", "spinnerr.idle_timeout": "soon" } }
+    ]));
+
+    assert.deepEqual(containers.map(c => c.name), ["a", "b"]);
+    assert.deepEqual(groups, [{ name: "media", container: ["a", "b"] }]);
+    assert.deepEqual(errors.map(e => [e.container, e.field]), [["c", "spinnerr.idle_timeout"]]);
+  });
+});
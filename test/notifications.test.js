@@ -0,0 +1,198 @@
+import { test, describe, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import net from "net";
+import { createNotifier, renderTemplate } from "../lib/notifications.js";
+import { sendMail, addressOf } from "../lib/smtp.js";
+
+const silentLog = Object.assign(() => {}, { debug() {}, info() {}, warn() {}, error() {} });
+
+// Records every request; paths containing "fail" answer 500
+function httpStub() {
+  const requests = [];
+  let waiting = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      waiting.forEach(resolve => resolve());
+      waiting = [];
+      res.writeHead(req.url.includes("fail") ? 500 : 200);
+      res.end();
+    });
+  });
+  const next = () => new Promise(resolve => waiting.push(resolve));
+  return { server, requests, next };
+}
+
+// Speaks just enough SMTP: strict about "<address>" syntax like real servers, no STARTTLS
+function smtpStub() {
+  const sessions = [];
+  const server = net.createServer((socket) => {
+    const session = { commands: [], message: null };
+    sessions.push(session);
+    let buffer = "";
+    let data = null;
+    socket.write("220 stub ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data !== null) {
+          if (line === ".") {
+            session.message = data.join("\r\n");
+            data = null;
+            socket.write("250 queued\r\n");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === "EHLO") socket.write("250-stub\r\n250 AUTH PLAIN\r\n");
+        else if (verb === "AUTH") socket.write("235 ok\r\n");
+        else if (verb === "MAIL" || verb === "RCPT") {
+          socket.write(/^[A-Z ]+:<[^<>\s]+@[^<>\s]+>$/i.test(line) ? "250 ok\r\n" : "501 bad address syntax\r\n");
+        } else if (verb === "DATA") {
+          data = [];
+          socket.write("354 go on\r\n");
+        } else if (verb === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("502 unknown\r\n");
+      }
+    });
+  });
+  return { server, sessions };
+}
+
+const listen = (server) => new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+describe("notification senders", () => {
+  const stub = httpStub();
+  let base;
+  let targets = [];
+  const notifier = createNotifier({ getTargets: () => targets, log: silentLog });
+
+  before(async () => {
+    await listen(stub.server);
+    base = `http://127.0.0.1:${stub.server.address().port}`;
+  });
+  after(() => stub.server.close());
+  beforeEach(() => stub.requests.splice(0));
+
+  test("webhook posts the message, or the rendered template with its headers", async () => {
+    await notifier.test({ id: "1", name: "hook", type: "webhook", url: `${base}/hook` });
+    assert.equal(stub.requests[0].method, "POST");
+    assert.equal(JSON.parse(stub.requests[0].body).title, "Spinnerr: Test notification");
+
+    await notifier.test({
+      id: "2", name: "hook", type: "webhook", url: `${base}/hook`, method: "PUT",
+      headers: { Authorization: "Bearer abc" },
+      template: '{"text":"{{title}}","type":"{{type}}"}'
+    });
+    assert.equal(stub.requests[1].method, "PUT");
+    assert.equal(stub.requests[1].headers.authorization, "Bearer abc");
+    assert.deepEqual(JSON.parse(stub.requests[1].body), { text: "Spinnerr: Test notification", type: "notification.test" });
+  });
+
+  test("ntfy publishes to the topic with title, priority and token", async () => {
+    await notifier.test({ id: "3", name: "ntfy", type: "ntfy", url: `${base}/`, topic: "spin ner", priority: 4, token: "tk" });
+    const [request] = stub.requests;
+    assert.equal(request.url, "/spin%20ner");
+    assert.equal(request.headers.title, "Spinnerr: Test notification");
+    assert.equal(request.headers.priority, "4");
+    assert.equal(request.headers.authorization, "Bearer tk");
+    assert.match(request.body, /working/);
+  });
+
+  test("gotify posts a message with the application token", async () => {
+    await notifier.test({ id: "4", name: "gotify", type: "gotify", url: base, token: "gt" });
+    const [request] = stub.requests;
+    assert.equal(request.url, "/message");
+    assert.equal(request.headers["x-gotify-key"], "gt");
+    assert.deepEqual(JSON.parse(request.body), { title: "Spinnerr: Test notification", message: "Notifications from Spinnerr are working", priority: 5 });
+  });
+
+  test("an error status fails the send", async () => {
+    await assert.rejects(notifier.test({ id: "5", name: "bad", type: "gotify", url: `${base}/fail`, token: "gt" }), /answered 500/);
+  });
+
+  test("notify filters event types and debounces repeats per subject", async () => {
+    targets = [{ id: "6", name: "hook", type: "webhook", url: `${base}/hook`, events: ["container.*"], debounce: 60 }];
+    const failed = { type: "container.start_failed", container: "web", message: "exit code 1" };
+
+    let sent = stub.next();
+    notifier.notify(failed);
+    await sent;
+    notifier.notify(failed); // debounced
+    notifier.notify({ type: "group.idle_stop", group: "media", idleTimeout: 60, containers: [] }); // not subscribed
+    sent = stub.next();
+    notifier.notify({ ...failed, container: "db" });
+    await sent;
+
+    assert.equal(stub.requests.length, 2);
+    assert.equal(JSON.parse(stub.requests[0].body).title, "Spinnerr: web failed to start");
+    assert.equal(JSON.parse(stub.requests[1].body).event.container, "db");
+  });
+
+  test("templates escape values for JSON strings", () => {
+    assert.equal(renderTemplate('{"t":"{{text}}"}', { text: 'say "hi"\n' }), '{"t":"say \\"hi\\"\\n"}');
+  });
+});
+
+describe("smtp", () => {
+  const stub = smtpStub();
+  let port;
+
+  before(async () => {
+    await listen(stub.server);
+    port = stub.server.address().port;
+  });
+  after(() => stub.server.close());
+  beforeEach(() => stub.sessions.splice(0));
+
+  test("sends bare addresses in the envelope and the display name in the headers", async () => {
+    await sendMail({
+      host: "127.0.0.1", port,
+      from: "Spinnerr <spinnerr@example.com>",
+      to: ["Me <me@example.com>", "ops@example.com"],
+      subject: "Spinnerr: web failed to start",
+      text: "exit code 1\n.hidden"
+    });
+
+    const [session] = stub.sessions;
+    assert.ok(session.commands.includes("MAIL FROM:<spinnerr@example.com>"));
+    assert.ok(session.commands.includes("RCPT TO:<me@example.com>"));
+    assert.ok(session.commands.includes("RCPT TO:<ops@example.com>"));
+    assert.match(session.message, /^From: Spinnerr <spinnerr@example\.com>$/m);
+    assert.match(session.message, /^To: Me <me@example\.com>, ops@example\.com$/m);
+    assert.match(session.message, /^\.\.hidden$/m);
+  });
+
+  test("doesn't send the password without TLS", async () => {
+    await assert.rejects(sendMail({
+      host: "127.0.0.1", port, user: "u", password: "secret", from: "a@example.com", to: ["b@example.com"], subject: "s", text: "t"
+    }), /offers no TLS/);
+    assert.ok(!stub.sessions[0].commands.some(c => c.startsWith("AUTH")));
+  });
+
+  test("sends the password in plain text only with insecureAuth", async () => {
+    await sendMail({
+      host: "127.0.0.1", port, insecureAuth: true, user: "u", password: "secret", from: "a@example.com", to: ["b@example.com"], subject: "s", text: "t"
+    });
+    assert.ok(stub.sessions[0].commands.includes(`AUTH PLAIN ${Buffer.from("\u0000u\u0000secret").toString("base64")}`));
+  });
+
+  test("reports the failing command", async () => {
+    await assert.rejects(sendMail({ host: "127.0.0.1", port, from: "a@example.com", to: ["not an address"], subject: "s", text: "t" }), /SMTP RCPT failed: 501/);
+  });
+
+  test("addressOf keeps bare addresses", () => {
+    assert.equal(addressOf("a@example.com"), "a@example.com");
+    assert.equal(addressOf('"Ops, Team" <ops@example.com>'), "ops@example.com");
+  });
+});
@@ -0,0 +1,64 @@
+import { test, describe, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "spinnerr-schedules-"));
+const configPath = path.join(dir, "config.json");
+process.env.CONFIG_DIR = dir;
+const { default: scheduleRoutes } = await import("../routes/scheduleRoutes.js");
+
+const saved = {
+  containers: [{ name: "web", url: "http://web:80", active: true }],
+  groups: [{ name: "media", container: ["web"], active: true }],
+  schedules: [{ id: "1", target: "web", targetType: "container", timers: [{ startTime: "08:00", stopTime: "20:00", days: [1], active: true }] }]
+};
+
+const timers = [{ startTime: "08:00", stopTime: "20:00", days: [1, 2, 3], active: true }];
+
+describe("schedule targets", () => {
+  const app = express();
+  app.locals.labelContainers = () => [{ name: "whoami", source: "labels" }];
+  app.locals.labelGroups = () => [{ name: "tools", container: ["whoami"], source: "labels" }];
+  app.use("/api/schedules", express.json(), scheduleRoutes);
+  let server;
+  let base;
+
+  const send = (method, url, body) => fetch(`${base}${url}`, { method, headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+  const savedSchedules = () => JSON.parse(fs.readFileSync(configPath, "utf-8")).schedules;
+
+  before(async () => {
+    server = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+    base = `http://127.0.0.1:${server.address().port}/api/schedules`;
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => fs.writeFileSync(configPath, JSON.stringify(saved)));
+
+  test("a schedule for a missing container or group is rejected with the field", async () => {
+    for (const [target, targetType] of [["nope", "container"], ["web", "group"]]) {
+      const res = await send("POST", "/", { target, targetType, timers });
+      assert.equal(res.status, 400);
+      assert.deepEqual((await res.json()).errors, [{ field: "target", message: `targets missing ${targetType} "${target}"` }]);
+    }
+    assert.equal(savedSchedules().length, 1);
+  });
+
+  test("entries from config.json and Docker labels can be targeted", async () => {
+    for (const [target, targetType] of [["media", "group"], ["whoami", "container"], ["tools", "group"]]) {
+      const res = await send("POST", "/", { target, targetType, timers });
+      assert.equal(res.status, 200, target);
+    }
+    assert.equal(savedSchedules().length, 4);
+  });
+
+  test("an update can't point a schedule at a missing target", async () => {
+    const res = await send("PUT", "/1", { target: "nope" });
+    assert.equal(res.status, 400);
+    assert.equal(savedSchedules()[0].target, "web");
+  });
+});
@@ -0,0 +1,129 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parseCron, nextCronRun, prevCronRun } from "../lib/cron.js";
+import { nextScheduleRun, dueRuns, lastMissedRun, missedRunPlan, activeWindows } from "../lib/scheduler.js";
+import { validateSchedule } from "../lib/configSchema.js";
+
+const at = (iso) => Date.parse(iso);
+const iso = (time) => time === null ? null : new Date(time).toISOString();
+
+const schedule = (timers, extra = {}) => ({
+  id: "1",
+  target: "web",
+  targetType: "container",
+  timezone: "UTC",
+  timers: timers.map(timer => ({ active: true, ...timer })),
+  ...extra
+});
+
+// Runs a 15 second scheduler tick over [from, to] and collects what fired
+function fire(s, from, to) {
+  const fired = [];
+  for (let now = from + 15000; now <= to; now += 15000) {
+    dueRuns(s, from, now).forEach(run => fired.push(iso(run.time)));
+    from = now;
+  }
+  return fired;
+}
+
+describe("nextCronRun / prevCronRun", () => {
+  const berlin = { timeZone: "Europe/Berlin" };
+
+  test("a time skipped by the spring DST change doesn't run that day", () => {
+    const cron = parseCron("30 2 * * *");
+    assert.equal(iso(nextCronRun(cron, at("2024-03-30T12:00:00Z"), berlin)), "2024-04-01T00:30:00.000Z");
+  });
+
+  test("a time repeated by the autumn DST change runs once", () => {
+    const s = schedule([{ startCron: "30 2 * * *" }], { timezone: "Europe/Berlin" });
+    assert.deepEqual(fire(s, at("2024-10-26T22:00:00Z"), at("2024-10-27T04:00:00Z")), ["2024-10-27T01:30:00.000Z"]);
+
+    const hourly = schedule([{ startCron: "0 * * * *" }], { timezone: "Europe/Berlin" });
+    assert.equal(fire(hourly, at("2024-10-26T22:00:00Z"), at("2024-10-27T03:00:00Z")).length, 4); // 01:00 to 04:00 local
+  });
+
+  test("Feb 29 is found across non-leap years, in both directions", () => {
+    const cron = parseCron("0 0 29 2 *");
+    assert.equal(iso(nextCronRun(cron, at("2024-03-01T00:00:00Z"), { timeZone: "UTC" })), "2028-02-29T00:00:00.000Z");
+    assert.equal(iso(prevCronRun(cron, at("2027-01-01T00:00:00Z"), { timeZone: "UTC" })), "2024-02-29T00:00:00.000Z");
+  });
+
+  test("the next run is strictly after the given time, the previous one at or before it", () => {
+    const cron = parseCron("0 8 * * *");
+    assert.equal(iso(nextCronRun(cron, at("2024-05-01T08:00:00Z"), { timeZone: "UTC" })), "2024-05-02T08:00:00.000Z");
+    assert.equal(iso(prevCronRun(cron, at("2024-05-01T08:00:00Z"), { timeZone: "UTC" })), "2024-05-01T08:00:00.000Z");
+  });
+});
+
+describe("schedule dates", () => {
+  const daily = [{ startTime: "08:00", stopTime: "20:00", days: [0, 1, 2, 3, 4, 5, 6] }];
+
+  test("nothing runs before startDate or after endDate", () => {
+    const s = schedule(daily, { startDate: "2024-06-10", endDate: "2024-06-11" });
+
+    assert.deepEqual(nextScheduleRun(s, at("2024-06-01T00:00:00Z")), { action: "start", time: at("2024-06-10T08:00:00Z"), timer: 0 });
+    assert.equal(nextScheduleRun(s, at("2024-06-11T20:00:00Z")), null);
+  });
+
+  test("excluded dates and yearly MM-DD exclusions are skipped", () => {
+    const s = schedule(daily, { exclude: ["12-25", "2024-12-26"] });
+
+    assert.equal(iso(nextScheduleRun(s, at("2024-12-24T21:00:00Z")).time), "2024-12-27T08:00:00.000Z");
+    assert.equal(iso(nextScheduleRun(s, at("2025-12-24T21:00:00Z")).time), "2025-12-26T08:00:00.000Z");
+  });
+
+  test("dueRuns returns each rule due in the interval once, oldest first", () => {
+    const s = schedule(daily);
+    assert.deepEqual(dueRuns(s, at("2024-06-01T07:00:00Z"), at("2024-06-01T21:00:00Z")).map(r => r.action), ["start", "stop"]);
+    assert.deepEqual(dueRuns(s, at("2024-06-01T08:00:00Z"), at("2024-06-01T19:59:00Z")), []);
+  });
+});
+
+describe("missed runs", () => {
+  const s = (missedRuns) => schedule([{ startTime: "08:00", stopTime: "20:00", days: [0, 1, 2, 3, 4, 5, 6] }], { missedRuns });
+  const from = at("2024-06-01T09:00:00Z");
+  const to = at("2024-06-03T10:00:00Z");
+
+  test("lastMissedRun finds the most recent run and counts them all", () => {
+    assert.deepEqual(lastMissedRun(s(), from, to), { action: "start", time: at("2024-06-03T08:00:00Z"), timer: 0, missed: 4 });
+    assert.equal(lastMissedRun(s(), from, at("2024-06-01T19:00:00Z")), null);
+  });
+
+  test("catchup makes up for the most recent run", () => {
+    assert.deepEqual(missedRunPlan(s("catchup"), from, to), { missed: 4, run: { action: "start", time: at("2024-06-03T08:00:00Z"), timer: 0 } });
+  });
+
+  test("skip, the default, only reports how many were missed", () => {
+    assert.deepEqual(missedRunPlan(s("skip"), from, to), { missed: 4, run: null });
+    assert.deepEqual(missedRunPlan(s(), from, to), { missed: 4, run: null });
+  });
+});
+
+describe("activeWindows", () => {
+  test("an overnight window stays open past midnight and closes the next morning", () => {
+    const s = schedule([{ startTime: "22:00", stopTime: "06:00", days: [5], mode: "keepRunning" }]); // Friday night
+
+    assert.deepEqual(activeWindows(s, at("2024-06-08T02:00:00Z")), [
+      { mode: "keepRunning", timer: 0, since: at("2024-06-07T22:00:00Z"), until: at("2024-06-08T06:00:00Z") }
+    ]);
+    assert.deepEqual(activeWindows(s, at("2024-06-08T07:00:00Z")), []);
+    assert.deepEqual(activeWindows(s, at("2024-06-07T21:00:00Z")), []);
+  });
+
+  test("a window opened on endDate still closes", () => {
+    const s = schedule([{ startTime: "22:00", stopTime: "06:00", days: [5, 6], mode: "keepStopped" }], { endDate: "2024-06-07" });
+
+    assert.equal(activeWindows(s, at("2024-06-08T05:00:00Z"))[0]?.until, at("2024-06-08T06:00:00Z"));
+    assert.deepEqual(activeWindows(s, at("2024-06-08T23:00:00Z")), []);
+  });
+
+  test("keep windows without an end are rejected", () => {
+    const open = schedule([{ startCron: "0 8 * * *", mode: "keepRunning" }]);
+    assert.deepEqual(validateSchedule(open).map(e => e.field), ["timers[0]"]);
+
+    const noDays = schedule([{ startCron: "0 8 * * *", stopTime: "18:00", mode: "keepRunning" }]);
+    assert.deepEqual(validateSchedule(noDays).map(e => e.field), ["timers[0]"]);
+
+    assert.deepEqual(validateSchedule(schedule([{ startCron: "0 8 * * *", stopCron: "0 18 * * *", mode: "keepStopped" }])), []);
+  });
+});